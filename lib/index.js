@@ -5,45 +5,684 @@
  */
 'use strict';
 
+const Stream = require('stream');
+
 const Boom = require('boom');
 const Hoek = require('hoek');
 const Joi = require('joi');
-const MediaType = require('media-type');
 
 const Package = require('../package');
+const Strategies = require('./strategies');
+const Versions = require('./versions');
 
 const internals = {
-    optionsSchema: Joi.object({
-        validVersions: Joi.array().items(Joi.number().integer()).min(1).required(),
-        defaultVersion: Joi.any().valid(Joi.ref('validVersions')).required(),
-        passiveMode: Joi.boolean().default(false),
-        basePath: Joi.string().trim().min(1).default('/'),
-        vendorName: Joi.string().trim().min(1),
-        getVersion: Joi.func(),
-        descriptor: Joi.string().min(1).invalid('default').default('mediatype'),
-        invalidVersionErrorCode: Joi.number().integer().default(415)
-    }).xor('vendorName', 'getVersion')
-};
-
-const _extractVersionFromAcceptHeader = function (request, options) {
-
-    const acceptHeader = request.headers.accept;
-    if (!acceptHeader) {
-        return null;
+    versionSchema: Joi.alternatives().try(Joi.number().integer(), Joi.string().regex(/^[0-9]+\.[0-9]+$/), Joi.string().regex(/^[0-9]{4}-[0-9]{2}-[0-9]{2}$/)),
+    strategySchema: Joi.alternatives().try(Joi.string().valid(Strategies.types), Joi.object({
+        type: Joi.string().valid(Strategies.types).required(),
+        name: Joi.string().trim().min(1),
+        descriptor: Joi.string().min(1).invalid('default')
+    })),
+    vendorSchema: Joi.alternatives().try(Joi.string().trim().min(1), Joi.object({
+        name: Joi.string().trim().min(1).required(),
+        deprecated: Joi.boolean().default(false)
+    }))
+};
+
+internals.optionsSchema = Joi.object({
+    validVersions: Joi.array().items(internals.versionSchema).min(1).required(),
+    defaultVersion: Joi.any().valid(Joi.ref('validVersions')).required(),
+    preReleaseVersions: Joi.array().items(internals.versionSchema).default([]),
+    preReleaseHeader: Joi.string().trim().lowercase().min(1),
+    pinnedVersion: Joi.object({
+        strategy: Joi.string().trim().min(1).required(),
+        getVersion: Joi.func().required()
+    }),
+    aliases: Joi.object().pattern(/^[a-zA-Z][a-zA-Z0-9_-]*$/, internals.versionSchema).default({}),
+    passiveMode: Joi.boolean().default(false),
+    inheritRoutes: Joi.boolean().default(false),
+    basePath: Joi.string().trim().min(1).default('/'),
+    vendorName: Joi.alternatives().try(internals.vendorSchema, Joi.array().items(internals.vendorSchema).min(1)),
+    getVersion: Joi.func(),
+    strategy: Joi.alternatives().try(internals.strategySchema, Joi.array().items(internals.strategySchema).min(1)),
+    strategyConflict: Joi.string().valid('first', 'reject').default('first'),
+    mediaTypePattern: Joi.string().trim().min(1).default('application/vnd.{vendor}.v{version}[+{format}]'),
+    descriptor: Joi.string().min(1).invalid('default'),
+    invalidVersionErrorCode: Joi.number().integer().default(415),
+    rangeErrorCode: Joi.number().integer().valid(404, 410).default(404),
+    mode: Joi.string().valid('rewrite', 'redirect').default('rewrite'),
+    redirectStatusCode: Joi.number().integer().valid(307, 308).default(307),
+    strict: Joi.boolean().default(false),
+    strictErrorCode: Joi.number().integer().valid(404, 406).default(404),
+    unversionedPaths: Joi.array().items(Joi.string().trim().min(1)).default([]),
+    deprecatedVersions: Joi.array().items(Joi.object({
+        version: internals.versionSchema.required(),
+        date: Joi.date().required(),
+        sunset: Joi.date(),
+        link: Joi.string().uri()
+    })).default([]),
+    removedPaths: Joi.array().items(Joi.object({
+        path: Joi.string().regex(/^\//).required(),
+        version: internals.versionSchema.required()
+    })).default([]),
+    versionChanges: Joi.array().items(Joi.object({
+        version: internals.versionSchema.required(),
+        description: Joi.string(),
+        routes: Joi.array().items(Joi.string().regex(/^\//)).min(1),
+        transformRequest: Joi.object({
+            payload: Joi.func(),
+            query: Joi.func(),
+            params: Joi.func()
+        }).min(1),
+        transformResponse: Joi.func()
+    }).or('transformRequest', 'transformResponse')).default([]),
+    enforceSunset: Joi.boolean().default(false),
+    clock: Joi.func(),
+    versionHeader: Joi.string().trim().min(1),
+    contentTypeHeader: Joi.boolean().default(false),
+    varyHeader: Joi.alternatives().try(Joi.boolean(), Joi.string().trim().min(1)).default(false),
+    discoveryRoute: Joi.alternatives().try(Joi.boolean(), Joi.string().regex(/^\//)).default(false)
+}).without('getVersion', ['vendorName', 'strategy']).or('vendorName', 'getVersion', 'strategy');
+
+internals.rangeSchema = Joi.alternatives().try(Joi.string(), Joi.object({
+    since: internals.versionSchema,
+    until: internals.versionSchema
+}).or('since', 'until'));
+
+internals.versionedRouteSchema = Joi.object({
+    method: Joi.any().required(),
+    path: Joi.string().regex(/^\//).required(),
+    descriptor: Joi.string().min(1),
+    versions: Joi.object().pattern(/.+/, Joi.object()).min(1).required(),
+    shared: Joi.object().default({})
+});
+
+internals.setHeader = function (response, name, value, append) {
+
+    if (response.isBoom) {
+        response.output.headers[name] = value;
+        return;
+    }
+
+    response.header(name, value, { append: !!append });
+};
+
+// Deprecation (RFC 9745), Sunset (RFC 8594) and the deprecation Link relation
+
+internals.setDeprecationHeaders = function (response, deprecation) {
+
+    internals.setHeader(response, 'deprecation', '@' + Math.floor(deprecation.date.getTime() / 1000));
+
+    if (deprecation.sunset) {
+        internals.setHeader(response, 'sunset', deprecation.sunset.toUTCString());
+    }
+
+    if (deprecation.link) {
+        internals.setHeader(response, 'link', '<' + deprecation.link + '>; rel="deprecation"', true);
+    }
+};
+
+internals.isJsonResponse = function (response) {
+
+    const type = response.headers['content-type'];
+    if (type) {
+        return (/^application\/json\s*(;|$)/).test(type);
+    }
+
+    // hapi assigns the content-type of objects while transmitting the response
+    const source = response.source;
+    return source !== null && typeof source === 'object' && !Buffer.isBuffer(source) && !(source instanceof Stream);
+};
+
+// Echo the version that served the request, so clients and caches can tell the versions apart
+
+internals.setVersionHeaders = function (response, release, options, mediaTypePattern, vendor) {
+
+    if (options.versionHeader) {
+        internals.setHeader(response, options.versionHeader, String(release.value));
+    }
+
+    const mediaType = Strategies.format(mediaTypePattern, { vendor: vendor, version: String(release.value), format: 'json' });
+    if (options.contentTypeHeader && mediaType && !response.isBoom && internals.isJsonResponse(response)) {
+        const type = response.headers['content-type'];
+        response.type(type ? type.replace(/^application\/json/, mediaType) : mediaType);
+    }
+
+    if (options.varyHeader) {
+        internals.setHeader(response, 'vary', options.varyHeader);
+    }
+};
+
+// Tries the strategies in order, the first strategy that provides a version wins.
+// When conflicts are rejected, all strategies must agree on the requested release.
+
+internals.extract = function (request, strategies, releases, options) {
+
+    let extracted = { version: null };
+    const context = { releases: releases };
+    for (let i = 0; i < strategies.length; ++i) {
+        const strategy = strategies[i];
+        const version = Strategies[strategy.type](request, strategy, options, context);
+        if (!version) {
+            continue;
+        }
+
+        if (!extracted.version) {
+            extracted = { version: version, descriptor: strategy.descriptor, type: strategy.type, mediaType: context.mediaType, vendor: context.vendor };
+            if (options.strategyConflict === 'first') {
+                return extracted;
+            }
+        }
+        else if (Versions.find(releases, Versions.resolve(options.aliases, version)) !== Versions.find(releases, Versions.resolve(options.aliases, extracted.version))) {
+            return { conflict: [extracted.version, version] };
+        }
+    }
+
+    return extracted;
+};
+
+// Returns the requested version using the strategies or the custom getVersion function, which may return
+// the version, a Promise or take a callback as third argument
+
+internals.getVersion = function (request, strategies, releases, options, callback) {
+
+    if (strategies) {
+        return callback(null, internals.extract(request, strategies, releases, options));
+    }
+
+    const fail = function (err) {
+
+        return callback(Boom.wrap(err instanceof Error ? err : new Error('getVersion failed: ' + err)));
+    };
+
+    const done = function (err, version) {
+
+        if (err) {
+            return fail(err);
+        }
+
+        return callback(null, { version: version, descriptor: options.descriptor });
+    };
+
+    if (options.getVersion.length > 2) {
+        return options.getVersion(request, options, done);
+    }
+
+    // Continue outside of the promise, so errors thrown while handling the request are not swallowed by it.
+    // Every rejection is an error, even without a reason.
+    const version = options.getVersion(request, options);
+    if (version && typeof version.then === 'function') {
+        return version.then((value) => process.nextTick(() => done(null, value)), (err) => process.nextTick(() => fail(err)));
+    }
+
+    return done(null, version);
+};
+
+// Registers the routes of each version under the basePath of the plugin registration, such as '/api/v2/users'.
+// The route definition of each version is applied to the definition shared by all versions.
+
+internals.versionedRoute = function (server, registrations, route) {
+
+    route = Joi.attempt(route, internals.versionedRouteSchema, 'hapi-api-version versionedRoute is invalid');
+
+    const registration = route.descriptor ? registrations.find((item) => item.descriptor === route.descriptor) : registrations[0];
+    if (!registration) {
+        throw new Error('hapi-api-version versionedRoute descriptor \'' + route.descriptor + '\' is not registered');
+    }
+
+    const routes = Object.keys(route.versions).map((version) => {
+
+        const release = Versions.get(registration.releases, version);
+        if (!release) {
+            throw new Error('hapi-api-version versionedRoute ' + route.path + ' contains version \'' + version + '\' which is not included in validVersions');
+        }
+
+        const definition = Hoek.applyToDefaults(route.shared, route.versions[version]);
+        definition.method = route.method;
+        definition.path = registration.basePath + release.prefix + route.path;
+        return definition;
+    });
+
+    server.route(routes);
+};
+
+internals.now = function (options) {
+
+    return new Date(options.clock ? options.clock() : Date.now()).getTime();
+};
+
+internals.isSunset = function (release, now) {
+
+    return !!(release.deprecation && release.deprecation.sunset && release.deprecation.sunset.getTime() <= now);
+};
+
+// Describes a version and its status for the discovery route
+
+internals.describeVersion = function (release, now, mediaType) {
+
+    const version = { version: release.value, status: 'current' };
+    if (release.deprecation) {
+        version.status = internals.isSunset(release, now) ? 'sunset' : 'deprecated';
+        version.deprecated = release.deprecation.date.toISOString();
+        if (release.deprecation.sunset) {
+            version.sunset = release.deprecation.sunset.toISOString();
+        }
+
+        if (release.deprecation.link) {
+            version.link = release.deprecation.link;
+        }
+    }
+
+    if (release.preRelease) {
+        version.status = 'pre-release';
+    }
+
+    if (mediaType) {
+        version.mediaType = mediaType;
     }
 
-    const media = MediaType.fromString(acceptHeader);
-    if (media.isValid() && (/^vnd.[a-zA-Z0-9]+\.v[0-9]+$/).test(media.subtype)) {
+    return version;
+};
+
+// Returns the release of a version, a pre-release version must be requested exactly
+
+internals.findRelease = function (state, version) {
+
+    const release = Versions.get(state.releases, version);
+    return release && release.preRelease ? release : Versions.find(state.generalReleases, version);
+};
+
+// Returns the version changes between the requested version and the version of the route, newest first
+
+internals.changesFor = function (state, request, release, type) {
+
+    const routeRelease = Versions.parse(request.plugins['hapi-api-version'].routeVersion);
+    return state.versionChanges.filter((change) => {
+
+        return !!change[type] && Versions.compare(change.release, release) > 0 && Versions.compare(change.release, routeRelease) <= 0 &&
+            (!change.routes || change.routes.indexOf(request.route.path) !== -1);
+    });
+};
+
+// Returns true if the path is served by the unversioned or a versioned route path of a removed path, such as '/users' or '/v2/users'
+
+internals.isRemoved = function (state, method, path, removal) {
+
+    return state.routePrefixes.some((prefix) => {
+
+        const route = state.server.match(method, prefix + path);
+        return !!route && route.path === prefix + removal.path;
+    });
+};
+
+// Describes a registration for the discovery route
+
+internals.describe = function (state) {
+
+    const options = state.options;
+    const now = internals.now(options);
+    const mediaTypes = state.strategies && state.strategies.some((item) => item.type === 'mediatype');
+    return {
+        descriptor: options.descriptor,
+        basePath: options.basePath,
+        defaultVersion: options.defaultVersion,
+        aliases: options.aliases,
+        strategies: state.strategies ? state.strategies.map((item) => ({ type: item.type, name: item.name, descriptor: item.descriptor })) : [{ type: 'custom', descriptor: options.descriptor }],
+        versions: state.releases.map((release) => {
+
+            const mediaType = mediaTypes ? Strategies.format(state.mediaTypePattern, { vendor: state.vendors[0].name, version: String(release.value), format: 'json' }) : null;
+            return internals.describeVersion(release, now, mediaType);
+        })
+    };
+};
+
+// Returns the error for a requested or pinned release that is not available to the client
+
+internals.unavailable = function (state, request, release) {
 
-        if (media.subtypeFacets[1] !== options.vendorName) {
-            return -1;
+    const options = state.options;
+    if (release.preRelease && options.preReleaseHeader && !request.headers[options.preReleaseHeader]) {
+        return Boom.create(options.invalidVersionErrorCode, 'Api-version ' + release.value + ' is a pre-release and requires the ' + options.preReleaseHeader + ' header');
+    }
+
+    // Reject versions that have passed their sunset date
+    if (options.enforceSunset) {
+        const now = internals.now(options);
+        if (internals.isSunset(release, now)) {
+            const supportedVersions = state.generalReleases.filter((item) => !internals.isSunset(item, now)).map((item) => item.value);
+            const error = Boom.create(410, 'Api-version ' + release.value + ' is no longer supported. Supported values: ' + supportedVersions.join(','));
+            error.output.payload.supportedVersions = supportedVersions;
+            return error;
         }
+    }
+
+    return null;
+};
+
+// Validates the requested version and rewrites the request to the route serving it
+
+internals.applyVersion = function (state, request, reply, requestPlugin, extracted, pinnedRelease) {
+
+    const options = state.options;
+
+    if (extracted.conflict) {
+        return reply(Boom.badRequest('Conflicting api-versions requested: ' + extracted.conflict.join(',')));
+    }
+
+    // Resolve an alias, such as 'latest', to the version it refers to
+    const requestedVersion = Versions.resolve(options.aliases, extracted.version);
+
+    // If passive mode skips the rest for non versioned routes
+    if (options.passiveMode === true && !requestedVersion) {
+        return reply.continue();
+    }
+
+    // If there was a version by now check if it is valid
+    let release = requestedVersion ? internals.findRelease(state, requestedVersion) : null;
+    if (requestedVersion && !release) {
+        return reply(Boom.create(options.invalidVersionErrorCode, 'Invalid api-version. Valid values: ' + options.validVersions.join(',')));
+    }
+
+    // Determine if other API version plugins exist. If yes, nothing to do here.
+    if (!requestedVersion && requestPlugin.count !== state.serverPlugin.count) {
+        return reply.continue();
+    }
 
-        const version = media.subtypeFacets[2].replace('v', '');
-        return parseInt(version, 10);
+    // If there was no version by now use the (pinned) default version
+    let useDefault = false;
+    if (!release) {
+        release = pinnedRelease || state.defaultRelease;
+        useDefault = true;
     }
 
-    return -1;
+    // Requested and pinned versions must be available to the client, the static default version is always served
+    const error = !useDefault || pinnedRelease ? internals.unavailable(state, request, release) : null;
+    if (error) {
+        return reply(error);
+    }
+
+    // The path following the basePath, without the version prefix of an explicitly versioned path ('/v2/users'),
+    // whichever strategy determined the version
+    const pathVersion = Strategies.path(request, null, options);
+    let offset = options.basePath.length - 1;
+    if (pathVersion && pathVersion !== -1) {
+        offset += pathVersion.length + 2;
+    }
+
+    let path = request.path.slice(offset);
+    let urlPath = request.url.path.slice(offset);
+    if (!path) {
+        path = '/';
+        urlPath = '/' + urlPath;
+    }
+
+    // Reject paths that were removed as of the version, before they are served by an older route
+    const removal = state.removedPaths.find((item) => Versions.compare(release, item.release) >= 0 && internals.isRemoved(state, request.method, path, item));
+    if (removal) {
+        const removed = Boom.create(410, 'Api-version ' + release.value + ' no longer supports ' + request.path + ', it was removed in api-version ' + removal.release.value + '. The last api-version supporting it is ' + removal.lastRelease.value);
+        removed.output.payload.lastSupportedVersion = removal.lastRelease.value;
+        return reply(removed);
+    }
+
+    //Set version for usage in handler, once the route serving it is known
+    const pluginData = {
+        apiVersion: release.value,
+        requestedVersion: useDefault ? (pinnedRelease ? pinnedRelease.value : options.defaultVersion) : requestedVersion,
+        alias: requestedVersion !== extracted.version ? extracted.version : undefined,
+        major: release.major,
+        minor: release.minor,
+        useDefault: useDefault,
+        pinned: !!pinnedRelease,
+        count: requestPlugin.count,
+        descriptor: useDefault ? 'default' : extracted.descriptor,
+        mediaType: extracted.mediaType,
+        vendor: extracted.vendor ? extracted.vendor.name : undefined,
+        registration: options.descriptor
+    };
+
+    return internals.route(state, request, reply, {
+        release: release,
+        pluginData: pluginData,
+        path: path,
+        urlPath: urlPath,
+        prefixed: offset !== options.basePath.length - 1,
+        useDefault: useDefault,
+        detected: !!extracted.detected
+    });
+};
+
+// Rewrites the request to the most specific versioned route, or the unversioned route serving the version
+
+internals.route = function (state, request, reply, context) {
+
+    const options = state.options;
+    const release = context.release;
+    const setPluginData = function (routeVersion) {
+
+        request.plugins['hapi-api-version'] = Object.assign({ routeVersion: routeVersion }, context.pluginData);
+    };
+
+    // Use the most specific versioned route, a '2.1' request may be served by a '/v2.1/' or '/v2/' route.
+    // Date versions are served by the route of the matched release, unless routes are inherited.
+    // Routes of pre-release versions only serve their own version.
+    const candidates = Versions.candidates(state.releases.filter((item) => !item.preRelease || item === release), release, options.inheritRoutes);
+    for (let i = 0; i < candidates.length; ++i) {
+        const versionPrefix = options.basePath + candidates[i].prefix;
+        const route = state.server.match(request.method, versionPrefix + context.path);
+
+        if (route && route.path.indexOf(versionPrefix + '/') === 0) {
+            const versionedPath = versionPrefix + context.urlPath;
+            setPluginData(candidates[i].value);
+
+            // Redirect to the URL of the version, so caches store the versions separately. The URL of the version
+            // is served by the route that matched, such as '/v3/users' by an inherited '/v2/users' route.
+            const canonicalPath = options.basePath + release.prefix + context.urlPath;
+            if (options.mode === 'redirect' && canonicalPath !== request.url.path) {
+                const response = reply().redirect(canonicalPath).code(options.redirectStatusCode);
+                if (options.varyHeader || state.requestHeaders) {
+                    response.header('vary', options.varyHeader || state.requestHeaders);
+                }
+
+                return response;
+            }
+
+            request.setUrl(versionedPath); //required to preserve query parameters
+            return reply.continue();
+        }
+    }
+
+    // A route may serve a range of versions instead of using a version prefix
+    const route = state.server.match(request.method, options.basePath.slice(0, -1) + context.path);
+    const range = route ? state.ranges[route.method + ' ' + route.path] : undefined;
+    if (range) {
+        if (!Versions.satisfies(release, range.comparators)) {
+            return reply(Boom.create(options.rangeErrorCode, 'Api-version ' + release.value + ' is not available for ' + request.path));
+        }
+
+        setPluginData(range.release.value);
+    }
+
+    // In strict mode, an explicitly requested version is only served by the unversioned route if it is allowed
+    else if (options.strict && !context.useDefault && (!route || options.unversionedPaths.indexOf(route.path) === -1)) {
+        return reply(Boom.create(options.strictErrorCode, 'Api-version ' + release.value + ' is not available for ' + request.path));
+    }
+
+    // A detected version prefix is not served by an unversioned route, its handler would not get the version
+    else if (context.detected) {
+        return reply.continue();
+    }
+
+    // Without a versioned route, an explicitly versioned path is served by the unversioned route
+    if (context.prefixed) {
+        request.setUrl(options.basePath.slice(0, -1) + context.urlPath);
+    }
+
+    return reply.continue();
+};
+
+// Discovers the routes that declare the range of versions they serve, such as '>=2 <4' or { since: 2, until: 4 }
+
+internals.onPreStart = function (state, next) {
+
+    const options = state.options;
+
+    // The strategy pinning the default version is tested on each request, so it must be known when the server starts
+    if (options.pinnedVersion && state.server.connections.some((connection) => !connection.auth._strategies[options.pinnedVersion.strategy])) {
+        return next(new Error('hapi-api-version pinnedVersion strategy \'' + options.pinnedVersion.strategy + '\' is not a registered authentication strategy'));
+    }
+
+    const tables = state.server.table();
+    for (let i = 0; i < tables.length; ++i) {
+        for (let j = 0; j < tables[i].table.length; ++j) {
+            const route = tables[i].table[j];
+            const versions = Hoek.reach(route, 'settings.plugins.hapi-api-version.versions');
+            if (versions === undefined || (!state.isRootPath && !route.path.startsWith(options.basePath))) {
+                continue;
+            }
+
+            const validated = Joi.validate(versions, internals.rangeSchema);
+            const range = validated.error ? null : Versions.range(validated.value);
+            if (!range || range.some((comparator) => Versions.isDate(comparator.version) !== Versions.isDate(state.releases[0]))) {
+                return next(new Error('hapi-api-version route ' + route.method + ' ' + route.path + ' contains an invalid versions range'));
+            }
+
+            // The route is implemented for the newest version of its range
+            const served = state.releases.filter((release) => Versions.satisfies(release, range)).sort(Versions.compare);
+            state.ranges[route.method + ' ' + route.path] = { comparators: range, release: served[served.length - 1] };
+        }
+    }
+
+    return next();
+};
+
+internals.onRequest = function (state, request, reply) {
+
+    const options = state.options;
+
+    // If the request is not for a versioned resource, nothing to do here
+    if (!state.isRootPath && !request.path.startsWith(options.basePath)) {
+        return reply.continue();
+    }
+
+    // Allow the plugin to be applied multiple times (example: use multiple custom functions)
+    const requestPlugin = request.plugins['hapi-api-version'] = request.plugins['hapi-api-version'] || { count: 0, useDefault: true };
+
+    // If the apiVersion has already been determined, nothing to do here
+    if (requestPlugin.apiVersion && !requestPlugin.useDefault) {
+        return reply.continue();
+    }
+
+    // Increment the request plugin counter
+    requestPlugin.count++;
+
+    // A request for an explicitly versioned path, such as '/v1/users', is handled like the path strategy
+    const pathVersion = state.detectPath ? Strategies.path(request, null, options) : null;
+    if (pathVersion && pathVersion !== -1) {
+        return internals.applyVersion(state, request, reply, requestPlugin, { version: pathVersion, descriptor: 'path', type: 'path', detected: true });
+    }
+
+    // determine the requested version, a custom getVersion function may be asynchronous
+    internals.getVersion(request, state.strategies, state.releases, options, (err, extracted) => {
+
+        if (err) {
+            return reply(err);
+        }
+
+        if (!options.pinnedVersion || extracted.version || extracted.conflict || options.passiveMode) {
+            return internals.applyVersion(state, request, reply, requestPlugin, extracted);
+        }
+
+        // Routes are matched before authentication, so the credentials pinning the default version are
+        // determined by testing the authentication strategy. Unauthenticated requests use the default version.
+        state.server.auth.test(options.pinnedVersion.strategy, request, (authErr, credentials) => {
+
+            const pinnedVersion = authErr ? null : options.pinnedVersion.getVersion(credentials, request);
+            if (!pinnedVersion) {
+                return internals.applyVersion(state, request, reply, requestPlugin, extracted);
+            }
+
+            const pinnedRelease = internals.findRelease(state, pinnedVersion);
+            if (!pinnedRelease) {
+                return reply(Boom.badImplementation('Pinned api-version \'' + pinnedVersion + '\' is not included in validVersions'));
+            }
+
+            return internals.applyVersion(state, request, reply, requestPlugin, extracted, pinnedRelease);
+        });
+    });
+};
+
+// Returns the plugin data of a request whose version was determined by the registration. The plugin data is
+// missing if the request was answered before the version was determined, or another extension rewrote the
+// request into the basePath.
+
+internals.versionOf = function (state, request) {
+
+    if (!state.isRootPath && !request.path.startsWith(state.options.basePath)) {
+        return null;
+    }
+
+    const requestPlugin = request.plugins['hapi-api-version'];
+    return requestPlugin && requestPlugin.registration === state.options.descriptor ? requestPlugin : null;
+};
+
+// Upgrades the request of the requested version step by step to the route version before it is validated, such as v1 → v2 → v3
+
+internals.onPostAuth = function (state, request, reply) {
+
+    const requestPlugin = internals.versionOf(state, request);
+    if (!requestPlugin) {
+        return reply.continue();
+    }
+
+    const release = Versions.get(state.releases, requestPlugin.apiVersion);
+
+    internals.changesFor(state, request, release, 'transformRequest').reverse().forEach((change) => {
+
+        // Requests without a payload, such as GET requests, are not upgraded by the payload function
+        ['payload', 'query', 'params'].filter((key) => change.transformRequest[key] && request[key] !== null && request[key] !== undefined).forEach((key) => {
+
+            request[key] = change.transformRequest[key](request[key], request);
+        });
+    });
+
+    return reply.continue();
+};
+
+internals.onPreResponse = function (state, request, reply) {
+
+    const requestPlugin = internals.versionOf(state, request);
+    if (!requestPlugin) {
+        return reply.continue();
+    }
+
+    const release = Versions.get(state.releases, requestPlugin.apiVersion);
+
+    // Respond using the vendor name requested by the client, or else the current vendor name
+    const vendors = state.vendors;
+    const alias = vendors.find((item) => item.name === requestPlugin.vendor);
+    const vendor = alias || vendors[0];
+    internals.setVersionHeaders(request.response, release, state.options, state.mediaTypePattern, vendor && vendor.name);
+
+    // Downgrade the response of the route version step by step to the requested version, such as v3 → v2 → v1
+    if (!request.response.isBoom) {
+        request.response.source = internals.changesFor(state, request, release, 'transformResponse').reduce((payload, change) => {
+
+            return change.transformResponse(payload, request);
+        }, request.response.source);
+    }
+
+    if (alias && alias.deprecated) {
+        internals.setHeader(request.response, 'warning', '299 - "Vendor name \'' + alias.name + '\' is deprecated, use \'' + vendors[0].name + '\'"', true);
+    }
+
+    if (release.deprecation) {
+        internals.setDeprecationHeaders(request.response, release.deprecation);
+    }
+
+    if (release.preRelease) {
+        internals.setHeader(request.response, 'warning', '299 - "Api-version ' + release.value + ' is a pre-release and may change without notice"', true);
+    }
+
+    return reply.continue();
 };
 
 exports.register = function (server, options, next) {
@@ -57,78 +696,195 @@ exports.register = function (server, options, next) {
     // Use the validated and maybe converted values from Joi
     options = validateOptions.value;
 
-    // Assign plugin metadata, and ensure that plugins have unique descriptors
-    const serverPlugin = server.plugins['hapi-api-version'] = server.plugins['hapi-api-version'] || { count: 0, descriptors: [] };
-    if (serverPlugin.descriptors.indexOf(options.descriptor) !== -1) {
-        return next(new Error('hapi-api-version plugins contain duplicate descriptors \'' + options.descriptor + '\'. When registering multiple plugins, each plugin must be assigned a unique descriptor.'));
+    const releases = options.validVersions.map(Versions.parse);
+    if (releases.some((release) => !release || Versions.isDate(release) !== Versions.isDate(releases[0]))) {
+        return next(new Error('hapi-api-version validVersions must be either all valid dates or all semantic versions'));
     }
 
-    serverPlugin.count++;
-    serverPlugin.descriptors.push(options.descriptor);
-    const isRootPath = options.basePath === '/';
+    // Without a custom getVersion function, the version is extracted using an ordered chain of built-in strategies
+    const strategies = options.getVersion ? null : [].concat(options.strategy || 'mediatype').map(Strategies.normalize);
+    // The first vendor name is the current one, the others are accepted aliases (for example during a rebrand)
+    const vendors = [].concat(options.vendorName || []).map((vendor) => {
 
-    server.ext('onRequest', (request, reply) => {
+        return typeof vendor === 'string' ? { name: vendor, deprecated: false } : vendor;
+    });
+    if (strategies && strategies.some((item) => item.type === 'mediatype') && !vendors.length) {
+        return next(new Error('hapi-api-version mediatype strategy requires a vendorName'));
+    }
 
-        // If the request is not for a versioned resource, nothing to do here
-        if (!isRootPath && !request.path.startsWith(options.basePath)) {
-            return reply.continue();
+    if (vendors.length && vendors[0].deprecated) {
+        return next(new Error('hapi-api-version the first vendorName \'' + vendors[0].name + '\' is the current vendor name and can not be deprecated'));
+    }
+
+    // Pre-release versions are only served when explicitly requested
+    for (let i = 0; i < options.preReleaseVersions.length; ++i) {
+        const release = Versions.get(releases, options.preReleaseVersions[i]);
+        if (!release) {
+            return next(new Error('hapi-api-version preReleaseVersions contains version \'' + options.preReleaseVersions[i] + '\' which is not included in validVersions'));
         }
 
-        // Allow the plugin to be applied multiple times (example: use multiple custom functions)
-        const requestPlugin = request.plugins['hapi-api-version'] = request.plugins['hapi-api-version'] || { count: 0, useDefault: true };
+        release.preRelease = true;
+    }
 
-        // If the apiVersion has already been determined, nothing to do here
-        if (requestPlugin.apiVersion && !requestPlugin.useDefault) {
-            return reply.continue();
+    if (Versions.get(releases, options.defaultVersion).preRelease) {
+        return next(new Error('hapi-api-version defaultVersion \'' + options.defaultVersion + '\' can not be a pre-release version'));
+    }
+
+    const generalReleases = releases.filter((release) => !release.preRelease);
+
+    // Aliases such as 'latest' or 'stable' refer to one of the validVersions
+    const aliases = Object.keys(options.aliases);
+    for (let i = 0; i < aliases.length; ++i) {
+        const release = Versions.get(releases, options.aliases[aliases[i]]);
+        if (!release) {
+            return next(new Error('hapi-api-version aliases contains version \'' + options.aliases[aliases[i]] + '\' for alias \'' + aliases[i] + '\' which is not included in validVersions'));
         }
 
-        // Increment the request plugin counter
-        requestPlugin.count++;
+        if (release.preRelease) {
+            return next(new Error('hapi-api-version alias \'' + aliases[i] + '\' can not refer to the pre-release version \'' + options.aliases[aliases[i]] + '\''));
+        }
+    }
 
-        // determine the requested version
-        let requestedVersion = typeof options.getVersion === 'function' ? options.getVersion(request, options) : _extractVersionFromAcceptHeader(request, options);
+    const mediaTypePattern = Strategies.compile(options.mediaTypePattern, aliases);
+    if (!mediaTypePattern) {
+        return next(new Error('hapi-api-version mediaTypePattern \'' + options.mediaTypePattern + '\' is invalid, it requires a {version} and may contain {vendor}, {param} and {format}'));
+    }
 
-        // If passive mode skips the rest for non versioned routes
-        if (options.passiveMode === true && !requestedVersion) {
-            return reply.continue();
+    if (strategies) {
+        strategies.filter((item) => item.type === 'mediatype').forEach((item) => {
+
+            item.pattern = mediaTypePattern;
+            item.vendors = vendors;
+        });
+    }
+
+    if (strategies && strategies.length === 1 && options.descriptor) {
+        strategies[0].descriptor = options.descriptor;
+    }
+
+    options.descriptor = options.descriptor || (options.strategy ? strategies.map((item) => item.descriptor).join('+') : 'mediatype');
+
+    // Responses only vary by the request headers read by the strategies
+    const requestHeaders = strategies ? strategies.map(Strategies.requestHeader).filter(Boolean).join(',') : 'accept';
+    if (options.varyHeader === true) {
+        options.varyHeader = requestHeaders;
+    }
+
+    if (options.contentTypeHeader && !vendors.length) {
+        return next(new Error('hapi-api-version contentTypeHeader requires a vendorName'));
+    }
+
+    // Attach the deprecation metadata to its release
+    for (let i = 0; i < options.deprecatedVersions.length; ++i) {
+        const deprecation = options.deprecatedVersions[i];
+        const release = Versions.get(releases, deprecation.version);
+        if (!release) {
+            return next(new Error('hapi-api-version deprecatedVersions contains version \'' + deprecation.version + '\' which is not included in validVersions'));
         }
 
-        // If there was a version by now check if it is valid
-        if (requestedVersion && !Hoek.contain(options.validVersions, requestedVersion)) {
-            return reply(Boom.create(options.invalidVersionErrorCode, 'Invalid api-version. Valid values: ' + options.validVersions.join(',')));
+        release.deprecation = deprecation;
+    }
+
+    // Paths removed as of a version are answered with the last general release that supported them
+    const removedPaths = [];
+    for (let i = 0; i < options.removedPaths.length; ++i) {
+        const removal = options.removedPaths[i];
+        const release = Versions.get(releases, removal.version);
+        if (!release) {
+            return next(new Error('hapi-api-version removedPaths contains version \'' + removal.version + '\' which is not included in validVersions'));
         }
 
-        // Determine if other API version plugins exist. If yes, nothing to do here.
-        if (!requestedVersion && requestPlugin.count !== serverPlugin.count) {
-            return reply.continue();
+        const supported = generalReleases.filter((item) => Versions.compare(item, release) < 0);
+        if (!supported.length) {
+            return next(new Error('hapi-api-version removedPaths path \'' + removal.path + '\' can not be removed in the first version'));
         }
 
-        // If there was no version by now use the default version
-        let useDefault = false;
-        if (!requestedVersion) {
-            requestedVersion = options.defaultVersion;
-            useDefault = true;
+        removedPaths.push({
+            path: removal.path,
+            release: release,
+            lastRelease: supported.sort(Versions.compare)[supported.length - 1]
+        });
+    }
+
+    // Version changes describe the changes introduced by a version, newest first
+    const versionChanges = [];
+    for (let i = 0; i < options.versionChanges.length; ++i) {
+        const change = Object.assign({}, options.versionChanges[i]);
+        change.release = Versions.get(releases, change.version);
+        if (!change.release) {
+            return next(new Error('hapi-api-version versionChanges contains version \'' + change.version + '\' which is not included in validVersions'));
         }
 
-        const versionedPath = options.basePath + 'v' + requestedVersion + request.path.slice(options.basePath.length - 1);
-        const route = server.match(request.method, versionedPath);
+        versionChanges.push(change);
+    }
 
-        if (route && route.path.indexOf(options.basePath + 'v' + requestedVersion + '/') === 0) {
-            request.setUrl(options.basePath + 'v' + requestedVersion + request.url.path.slice(options.basePath.length - 1)); //required to preserve query parameters
+    versionChanges.sort((a, b) => Versions.compare(b.release, a.release));
 
-            //Set version for usage in handler
-            request.plugins['hapi-api-version'] = {
-                apiVersion: requestedVersion,
-                useDefault: useDefault,
-                count: requestPlugin.count,
-                descriptor: useDefault ? 'default' : options.descriptor
-            };
-        }
+    // Assign plugin metadata, and ensure that plugins have unique descriptors
+    const serverPlugin = server.plugins['hapi-api-version'] = server.plugins['hapi-api-version'] || { count: 0, descriptors: [], registrations: [] };
+    if (serverPlugin.descriptors.indexOf(options.descriptor) !== -1) {
+        return next(new Error('hapi-api-version plugins contain duplicate descriptors \'' + options.descriptor + '\'. When registering multiple plugins, each plugin must be assigned a unique descriptor.'));
+    }
 
-        return reply.continue();
+    // server.versionedRoute() is shared by all registrations of the plugin
+    if (!serverPlugin.registrations.length) {
+        server.decorate('server', 'versionedRoute', function (route) {
+
+            return internals.versionedRoute(this, serverPlugin.registrations, route);
+        });
+    }
+
+    // The state of the registration, shared by its extensions
+    const state = {
+        server: server,
+        options: options,
+        releases: releases,
+        generalReleases: generalReleases,
+        defaultRelease: Versions.find(releases, options.defaultVersion),
+        strategies: strategies,
+        vendors: vendors,
+        mediaTypePattern: mediaTypePattern,
+        requestHeaders: requestHeaders,
+        removedPaths: removedPaths,
+        versionChanges: versionChanges,
+        // The unversioned and versioned route paths of a removed path, such as '/users' and '/v2/users'
+        routePrefixes: [options.basePath.slice(0, -1)].concat(releases.map((release) => options.basePath + release.prefix)),
+        // Routes serving a range of versions, discovered when the server starts
+        ranges: {},
+        serverPlugin: serverPlugin,
+        isRootPath: options.basePath === '/',
+        // Explicitly versioned paths are detected, unless the path strategy is used to extract the version
+        detectPath: !strategies || !strategies.some((item) => item.type === 'path')
+    };
 
+    serverPlugin.count++;
+    serverPlugin.descriptors.push(options.descriptor);
+    serverPlugin.registrations.push({
+        descriptor: options.descriptor,
+        basePath: options.basePath,
+        releases: releases,
+        describe: () => internals.describe(state)
     });
 
+    server.ext('onPreStart', (srv, nextExt) => internals.onPreStart(state, nextExt));
+    server.ext('onRequest', (request, reply) => internals.onRequest(state, request, reply));
+    server.ext('onPostAuth', (request, reply) => internals.onPostAuth(state, request, reply));
+    server.ext('onPreResponse', (request, reply) => internals.onPreResponse(state, request, reply));
+
+    // List the versions of all plugin registrations, such as 'GET /versions'
+    if (options.discoveryRoute) {
+        const discoveryPath = options.discoveryRoute === true ? options.basePath + 'versions' : options.discoveryRoute;
+        options.unversionedPaths.push(discoveryPath);
+        server.route({
+            method: 'GET',
+            path: discoveryPath,
+            handler: (request, reply) => {
+
+                return reply({ registrations: serverPlugin.registrations.map((item) => item.describe()) });
+            }
+        });
+    }
+
     return next();
 };
 
@@ -0,0 +1,284 @@
+'use strict';
+
+const Hoek = require('hoek');
+const MediaType = require('media-type');
+
+const Versions = require('./versions');
+
+const internals = {
+    names: {
+        query: 'version',
+        header: 'api-version'
+    },
+    tokens: {
+        vendor: '[a-zA-Z0-9][a-zA-Z0-9.-]*?',
+        version: '[0-9]{4}-[0-9]{2}-[0-9]{2}|[0-9]+(?:\\.[0-9]+)?',
+        param: '[a-zA-Z0-9_-]+',
+        format: '[a-zA-Z0-9_-]+'
+    }
+};
+
+// Returns the version or alias, null if no version was provided or -1 if the version is malformed
+
+internals.validate = function (value, options) {
+
+    if (value === undefined || value === '') {
+        return null;
+    }
+
+    return typeof value === 'string' && (Versions.parse(value) || Versions.resolve(options.aliases, value) !== value) ? value : -1;
+};
+
+// Path segments and host labels are only considered versions if they look like one, such as 'v2' (but not 'videos')
+
+internals.validatePrefix = function (value) {
+
+    if (!(/^v[0-9]/).test(value)) {
+        return null;
+    }
+
+    return Versions.parse(value.slice(1)) ? value.slice(1) : -1;
+};
+
+exports.types = ['mediatype', 'query', 'header', 'path', 'host'];
+
+exports.normalize = function (strategy) {
+
+    const settings = typeof strategy === 'string' ? { type: strategy } : Object.assign({}, strategy);
+    settings.name = settings.name || internals.names[settings.type];
+    settings.descriptor = settings.descriptor || settings.type;
+    return settings;
+};
+
+// Compiles a media type pattern such as 'application/vnd.{vendor}.v{version}[.{param}]+{format}', where
+// parts in brackets are optional. Version aliases replace the version including its 'v' prefix, such as
+// 'application/vnd.mysuperapi.latest+json'. Returns null if the pattern is invalid.
+
+exports.compile = function (pattern, aliases) {
+
+    const parts = pattern.split(/(\{[a-z]+\}|\[|\])/).filter((part) => part !== '');
+    const names = [];
+    let source = '';
+    let depth = 0;
+    for (let i = 0; i < parts.length; ++i) {
+        const part = parts[i];
+        if (part === '[') {
+            source += '(?:';
+            ++depth;
+        }
+        else if (part === ']') {
+            if (!depth) {
+                return null;
+            }
+
+            source += ')?';
+            --depth;
+        }
+        else if (part[0] === '{') {
+            const name = part.slice(1, -1);
+            if (!internals.tokens[name] || names.indexOf(name) !== -1) {
+                return null;
+            }
+
+            if (name === 'version' && aliases.length) {
+                const prefix = source.slice(-1) === 'v' ? 'v' : '';
+                source = source.slice(0, source.length - prefix.length) + '(?:' + prefix + '(' + internals.tokens.version + ')|(' + aliases.map(Hoek.escapeRegex).join('|') + '))';
+                names.push(name);
+            }
+            else {
+                source += '(' + internals.tokens[name] + ')';
+            }
+
+            names.push(name);
+        }
+        else {
+            source += Hoek.escapeRegex(part);
+        }
+    }
+
+    if (depth || names.indexOf('version') === -1) {
+        return null;
+    }
+
+    return {
+        regex: new RegExp('^' + source + '$'),
+        names: names,
+        parts: parts
+    };
+};
+
+// Builds a media type from a compiled pattern, optional parts are only included if all their values are provided
+
+exports.format = function (compiled, values) {
+
+    const groups = [{ text: '', complete: true }];
+    for (let i = 0; i < compiled.parts.length; ++i) {
+        const part = compiled.parts[i];
+        const group = groups[groups.length - 1];
+        if (part === '[') {
+            groups.push({ text: '', complete: true });
+        }
+        else if (part === ']') {
+            groups.pop();
+            groups[groups.length - 1].text += group.complete ? group.text : '';
+        }
+        else if (part[0] === '{') {
+            const value = values[part.slice(1, -1)];
+            group.complete = group.complete && value !== undefined;
+            group.text += value === undefined ? '' : value;
+        }
+        else {
+            group.text += part;
+        }
+    }
+
+    return groups[0].complete ? groups[0].text : null;
+};
+
+// Returns the request header the strategy reads the version from, or null
+
+exports.requestHeader = function (settings) {
+
+    if (settings.type === 'mediatype') {
+        return 'accept';
+    }
+
+    return settings.type === 'header' ? settings.name : null;
+};
+
+// Splits the accept header into media ranges, ordered by their q-values (excluding q=0)
+
+internals.mediaRanges = function (header) {
+
+    const ranges = [];
+    const values = header.split(',');
+    for (let i = 0; i < values.length; ++i) {
+        const media = MediaType.fromString(values[i].trim());
+        const q = media.isValid() && media.parameters.q !== undefined ? parseFloat(media.parameters.q) : 1;
+        if (q > 0) {
+            ranges.push({ media: media, q: q, index: i });
+        }
+    }
+
+    ranges.sort((a, b) => (b.q - a.q) || (a.index - b.index));
+    return ranges.map((range) => range.media);
+};
+
+// Returns the vendor name (or alias) of a 'vnd.{vendor}' subtype, or undefined
+
+internals.subtypeVendor = function (settings, subtype) {
+
+    return settings.vendors.find((vendor) => subtype === 'vnd.' + vendor.name);
+};
+
+// '*/*', 'application/*' and 'application/json' accept any version, as does the vendor media type without
+// a version when versions are provided by a media type parameter
+
+internals.isUnversioned = function (media, settings) {
+
+    if (media.type === '*' || (media.type === 'application' && (media.subtype === '*' || media.subtype === 'json'))) {
+        return true;
+    }
+
+    return !!settings.name && !!internals.subtypeVendor(settings, media.subtype);
+};
+
+// Returns the version of the media type with the captured pieces and vendor, or null if it does not provide a version:
+// - a version matching the pattern: application/vnd.mysuperapi.v2+json ('v2', 'v2.1' or 'v2024-06-01')
+// - a version parameter: application/json; version=2 or application/vnd.mysuperapi+json; version=2
+
+internals.mediaVersion = function (media, settings) {
+
+    const match = settings.pattern.regex.exec(media.type + '/' + media.subtype + (media.suffix ? '+' + media.suffix : ''));
+    if (match) {
+        const captures = {};
+        for (let i = 0; i < settings.pattern.names.length; ++i) {
+            if (match[i + 1] !== undefined) {
+                captures[settings.pattern.names[i]] = match[i + 1];
+            }
+        }
+
+        const vendor = settings.vendors.find((item) => item.name === captures.vendor);
+        if (captures.vendor === undefined || vendor) {
+            return { version: captures.version, captures: captures, vendor: vendor };
+        }
+    }
+
+    const parameter = settings.name ? media.parameters[settings.name] : undefined;
+    if (parameter !== undefined && internals.isUnversioned(media, settings)) {
+        return { version: parameter, captures: { version: parameter }, vendor: internals.subtypeVendor(settings, media.subtype) };
+    }
+
+    return null;
+};
+
+// accept: application/vnd.mysuperapi.v2+json, application/json;q=0.8
+// The highest priority media type with a supported version wins, its captured pieces and vendor are added to the context.
+
+exports.mediatype = function (request, settings, options, context) {
+
+    const acceptHeader = request.headers.accept;
+    if (!acceptHeader) {
+        return null;
+    }
+
+    let requested = null;
+    let unversioned = false;
+    const ranges = internals.mediaRanges(acceptHeader);
+    for (let i = 0; i < ranges.length; ++i) {
+        const media = ranges[i];
+        if (!media.isValid()) {
+            continue;
+        }
+
+        const result = internals.mediaVersion(media, settings);
+        if (!result) {
+            unversioned = unversioned || internals.isUnversioned(media, settings);
+            continue;
+        }
+
+        if (Versions.find(context.releases, Versions.resolve(options.aliases, result.version))) {
+            context.mediaType = result.captures;
+            context.vendor = result.vendor;
+            return result.version;
+        }
+
+        requested = requested || result.version;
+    }
+
+    // A media range without a version requests the default version, an unsupported version is only
+    // rejected if the client does not accept any other media range
+    if (unversioned) {
+        return null;
+    }
+
+    return requested || -1;
+};
+
+// ?version=2
+
+exports.query = function (request, settings, options) {
+
+    return internals.validate(request.query[settings.name], options);
+};
+
+// api-version: 2
+
+exports.header = function (request, settings, options) {
+
+    return internals.validate(request.headers[settings.name.toLowerCase()], options);
+};
+
+// /v2/users, the version prefix follows the basePath
+
+exports.path = function (request, settings, options) {
+
+    return internals.validatePrefix(request.path.slice(options.basePath.length).split('/')[0]);
+};
+
+// v2.api.example.com
+
+exports.host = function (request, settings, options) {
+
+    return internals.validatePrefix(request.info.hostname.split('.')[0]);
+};
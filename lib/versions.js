@@ -0,0 +1,164 @@
+'use strict';
+
+const internals = {
+    semanticRegex: /^([0-9]+)(?:\.([0-9]+))?$/,
+    dateRegex: /^[0-9]{4}-[0-9]{2}-[0-9]{2}$/,
+    rangeRegex: /^(>=|<=|>|<|=)?(.*)$/,
+    operators: {
+        '>=': (result) => result >= 0,
+        '>': (result) => result > 0,
+        '<=': (result) => result <= 0,
+        '<': (result) => result < 0,
+        '=': (result) => result === 0
+    }
+};
+
+internals.parseDate = function (value) {
+
+    // Reject dates that do not exist, such as '2024-02-31'
+    const date = new Date(value + 'T00:00:00Z');
+    if (isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== value) {
+        return null;
+    }
+
+    return {
+        value: value,
+        date: value,
+        prefix: 'v' + value
+    };
+};
+
+// Parses an integer, 'major.minor' or 'YYYY-MM-DD' version, returns null if the value is not a version
+
+exports.parse = function (value) {
+
+    if (internals.dateRegex.test(value)) {
+        return internals.parseDate(value);
+    }
+
+    const match = internals.semanticRegex.exec(value);
+    if (!match) {
+        return null;
+    }
+
+    return {
+        value: value,
+        major: parseInt(match[1], 10),
+        minor: match[2] ? parseInt(match[2], 10) : 0,
+        prefix: 'v' + value
+    };
+};
+
+exports.isDate = function (version) {
+
+    return version.date !== undefined;
+};
+
+exports.compare = function (a, b) {
+
+    if (exports.isDate(a)) {
+        return a.date < b.date ? -1 : (a.date > b.date ? 1 : 0);
+    }
+
+    return (a.major - b.major) || (a.minor - b.minor);
+};
+
+// Returns the version an alias such as 'latest' refers to, or else the value itself
+
+exports.resolve = function (aliases, value) {
+
+    return typeof value === 'string' && Object.prototype.hasOwnProperty.call(aliases, value) ? aliases[value] : value;
+};
+
+// Returns the release from validVersions that equals the version, or null
+
+exports.get = function (releases, value) {
+
+    const version = exports.parse(value);
+    if (!version || exports.isDate(version) !== exports.isDate(releases[0])) {
+        return null;
+    }
+
+    return releases.find((release) => exports.compare(release, version) === 0) || null;
+};
+
+// Returns the release from validVersions that matches the requested version, or null.
+// A date resolves to the newest release on or before that date.
+
+exports.find = function (releases, requested) {
+
+    const version = exports.parse(requested);
+    if (!version || !exports.isDate(version) || !exports.isDate(releases[0])) {
+        return exports.get(releases, requested);
+    }
+
+    return releases.reduce((found, release) => {
+
+        if (exports.compare(release, version) <= 0 && (!found || exports.compare(release, found) > 0)) {
+            return release;
+        }
+
+        return found;
+    }, null);
+};
+
+// Parses a range of versions such as '>=2 <4', or { since: 2, until: 4 } where until is exclusive.
+// Returns the list of comparators, or null if the range is invalid.
+
+exports.range = function (value) {
+
+    let comparators = [];
+    if (typeof value === 'string') {
+        comparators = value.trim().split(/\s+/).map((item) => {
+
+            const match = internals.rangeRegex.exec(item);
+            return { operator: match[1] || '=', version: exports.parse(match[2]) };
+        });
+    }
+    else {
+        if (value.since !== undefined) {
+            comparators.push({ operator: '>=', version: exports.parse(value.since) });
+        }
+
+        if (value.until !== undefined) {
+            comparators.push({ operator: '<', version: exports.parse(value.until) });
+        }
+    }
+
+    return comparators.some((comparator) => !comparator.version) ? null : comparators;
+};
+
+exports.satisfies = function (release, range) {
+
+    return range.every((comparator) => internals.operators[comparator.operator](exports.compare(release, comparator.version)));
+};
+
+// Returns the releases whose routes may serve the given release, best match first.
+// A minor release is additive, so '2.2' can be served by '/v2.2/', '/v2.1/' or '/v2/' routes.
+// When inheriting, the routes of all lower releases are candidates as well.
+
+exports.candidates = function (releases, release, inherit) {
+
+    const candidates = releases.filter((item) => {
+
+        if (inherit) {
+            return exports.compare(item, release) <= 0;
+        }
+
+        return exports.isDate(release) ? item === release : item.major === release.major && item.minor <= release.minor;
+    });
+
+    if (!exports.isDate(release)) {
+
+        // Routes may always be defined using the major version only
+        candidates.map((item) => item.major).forEach((major) => {
+
+            if (!candidates.some((item) => item.prefix === 'v' + major)) {
+                candidates.push(exports.parse(major));
+            }
+        });
+    }
+
+    candidates.sort((a, b) => exports.compare(b, a));
+    return candidates;
+};
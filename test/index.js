@@ -5,7 +5,11 @@
  */
 'use strict';
 
+const Stream = require('stream');
+
+const Boom = require('boom');
 const Hapi = require('hapi');
+const Joi = require('joi');
 const Code = require('code');
 const Lab = require('lab');
 const lab = exports.lab = Lab.script();
@@ -26,6 +30,41 @@ beforeEach((done) => {
     done();
 });
 
+// Returns a function registering the plugin with the defaults overridden by its options, then adding the routes
+const registration = function (defaults, routes) {
+
+    return function (options, callback) {
+
+        server.register({
+            register: require('../'),
+            options: Object.assign({}, defaults, options)
+        }, (err) => {
+
+            if (err) {
+                return callback(err);
+            }
+
+            server.route(routes);
+            return callback();
+        });
+    };
+};
+
+const inject = function (url, headers, callback) {
+
+    server.inject({
+        method: 'GET',
+        url: url,
+        headers: headers
+    }, callback);
+};
+
+// Requests a version of the vendor media type, or no version at all
+const accept = function (version) {
+
+    return version ? { 'Accept': 'application/vnd.mysuperapi.v' + version + '+json' } : {};
+};
+
 describe('Plugin registration', () => {
 
     it('should fail if no options are specified', (done) => {
@@ -1713,3 +1752,4660 @@ describe('Multiple plugin registration', () => {
         });
     });
 });
+
+describe('Semantic Versioning', () => {
+
+    beforeEach((done) => {
+
+        server.register([{
+            register: require('../'),
+            options: {
+                validVersions: [1, 2, '2.1', '2.2', '3.1'],
+                defaultVersion: '2.1',
+                vendorName: 'mysuperapi'
+            }
+        }], (err) => {
+
+            if (err) {
+                return console.error('Can not register plugins', err);
+            }
+        });
+
+        const handler = function (request, reply) {
+
+            const plugin = request.plugins['hapi-api-version'];
+            return reply({
+                path: request.path,
+                version: plugin.apiVersion,
+                major: plugin.major,
+                minor: plugin.minor
+            });
+        };
+
+        server.route([
+            { method: 'GET', path: '/v1/users', handler: handler },
+            { method: 'GET', path: '/v2/users', handler: handler },
+            { method: 'GET', path: '/v2.1/users', handler: handler },
+            { method: 'GET', path: '/v3/users', handler: handler }
+        ]);
+
+        done();
+    });
+
+    it('should fail if validVersions contains a malformed semantic version', (done) => {
+
+        const otherServer = new Hapi.Server();
+        otherServer.connection();
+
+        otherServer.register({
+            register: require('../'),
+            options: {
+                validVersions: [1, '2.x'],
+                defaultVersion: 1,
+                vendorName: 'mysuperapi'
+            }
+        }, (err) => {
+
+            expect(err).to.exist();
+            done();
+        });
+    });
+
+    it('returns the minor version route if the accept header requests a minor version', (done) => {
+
+        server.inject({
+            method: 'GET',
+            url: '/users',
+            headers: {
+                'Accept': 'application/vnd.mysuperapi.v2.1+json'
+            }
+        }, (response) => {
+
+            expect(response.statusCode).to.equal(200);
+            expect(response.result).to.deep.equal({
+                path: '/v2.1/users',
+                version: '2.1',
+                major: 2,
+                minor: 1
+            });
+
+            done();
+        });
+    });
+
+    it('returns the nearest lower minor version route of the same major version', (done) => {
+
+        server.inject({
+            method: 'GET',
+            url: '/users',
+            headers: {
+                'Accept': 'application/vnd.mysuperapi.v2.2+json'
+            }
+        }, (response) => {
+
+            expect(response.statusCode).to.equal(200);
+            expect(response.result).to.deep.equal({
+                path: '/v2.1/users',
+                version: '2.2',
+                major: 2,
+                minor: 2
+            });
+
+            done();
+        });
+    });
+
+    it('returns the major version route if no minor version route exists', (done) => {
+
+        server.inject({
+            method: 'GET',
+            url: '/users',
+            headers: {
+                'Accept': 'application/vnd.mysuperapi.v3.1+json'
+            }
+        }, (response) => {
+
+            expect(response.statusCode).to.equal(200);
+            expect(response.result).to.deep.equal({
+                path: '/v3/users',
+                version: '3.1',
+                major: 3,
+                minor: 1
+            });
+
+            done();
+        });
+    });
+
+    it('returns the major version route for an integer version', (done) => {
+
+        server.inject({
+            method: 'GET',
+            url: '/users',
+            headers: {
+                'Accept': 'application/vnd.mysuperapi.v2+json'
+            }
+        }, (response) => {
+
+            expect(response.statusCode).to.equal(200);
+            expect(response.result).to.deep.equal({
+                path: '/v2/users',
+                version: 2,
+                major: 2,
+                minor: 0
+            });
+
+            done();
+        });
+    });
+
+    it('returns the default minor version if no header is sent', (done) => {
+
+        server.inject({
+            method: 'GET',
+            url: '/users'
+        }, (response) => {
+
+            expect(response.statusCode).to.equal(200);
+            expect(response.result).to.deep.equal({
+                path: '/v2.1/users',
+                version: '2.1',
+                major: 2,
+                minor: 1
+            });
+
+            done();
+        });
+    });
+
+    it('returns status code 415 if the minor version is not included in validVersions', (done) => {
+
+        server.inject({
+            method: 'GET',
+            url: '/users',
+            headers: {
+                'Accept': 'application/vnd.mysuperapi.v2.3+json'
+            }
+        }, (response) => {
+
+            expect(response.statusCode).to.equal(415);
+            done();
+        });
+    });
+
+    it('matches a zero minor version to the integer version', (done) => {
+
+        server.inject({
+            method: 'GET',
+            url: '/users',
+            headers: {
+                'Accept': 'application/vnd.mysuperapi.v1.0+json'
+            }
+        }, (response) => {
+
+            expect(response.statusCode).to.equal(200);
+            expect(response.result.path).to.equal('/v1/users');
+            expect(response.result.version).to.equal(1);
+
+            done();
+        });
+    });
+});
+
+describe('Date Versioning', () => {
+
+    beforeEach((done) => {
+
+        server.register([{
+            register: require('../'),
+            options: {
+                validVersions: ['2024-01-01', '2024-06-01', '2023-06-01'],
+                defaultVersion: '2024-01-01',
+                vendorName: 'mysuperapi'
+            }
+        }], (err) => {
+
+            if (err) {
+                return console.error('Can not register plugins', err);
+            }
+        });
+
+        const handler = function (request, reply) {
+
+            const plugin = request.plugins['hapi-api-version'];
+            return reply({
+                path: request.path,
+                version: plugin.apiVersion,
+                requestedVersion: plugin.requestedVersion
+            });
+        };
+
+        server.route([
+            { method: 'GET', path: '/v2023-06-01/users', handler: handler },
+            { method: 'GET', path: '/v2024-01-01/users', handler: handler },
+            { method: 'GET', path: '/v2024-06-01/users', handler: handler }
+        ]);
+
+        done();
+    });
+
+    const register = registration({ vendorName: 'mysuperapi' }, []);
+
+    it('should fail if validVersions contains a date that does not exist', (done) => {
+
+        register({ validVersions: ['2024-02-31'], defaultVersion: '2024-02-31' }, (err) => {
+
+            expect(err).to.exist();
+            expect(err.message).to.contain('validVersions');
+            done();
+        });
+    });
+
+    it('should fail if validVersions contains a malformed date', (done) => {
+
+        register({ validVersions: ['2024-13-45'], defaultVersion: '2024-13-45' }, (err) => {
+
+            expect(err).to.exist();
+            done();
+        });
+    });
+
+    it('should fail if validVersions mixes dates and semantic versions', (done) => {
+
+        register({ validVersions: ['2024-01-01', 2], defaultVersion: '2024-01-01' }, (err) => {
+
+            expect(err).to.exist();
+            done();
+        });
+    });
+
+    it('returns the release that matches the requested date exactly', (done) => {
+
+        server.inject({
+            method: 'GET',
+            url: '/users',
+            headers: {
+                'Accept': 'application/vnd.mysuperapi.v2024-06-01+json'
+            }
+        }, (response) => {
+
+            expect(response.statusCode).to.equal(200);
+            expect(response.result).to.deep.equal({
+                path: '/v2024-06-01/users',
+                version: '2024-06-01',
+                requestedVersion: '2024-06-01'
+            });
+
+            done();
+        });
+    });
+
+    it('returns the newest release on or before the requested date', (done) => {
+
+        server.inject({
+            method: 'GET',
+            url: '/users',
+            headers: {
+                'Accept': 'application/vnd.mysuperapi.v2024-03-15+json'
+            }
+        }, (response) => {
+
+            expect(response.statusCode).to.equal(200);
+            expect(response.result).to.deep.equal({
+                path: '/v2024-01-01/users',
+                version: '2024-01-01',
+                requestedVersion: '2024-03-15'
+            });
+
+            done();
+        });
+    });
+
+    it('returns the default release if no header is sent', (done) => {
+
+        server.inject({
+            method: 'GET',
+            url: '/users'
+        }, (response) => {
+
+            expect(response.statusCode).to.equal(200);
+            expect(response.result).to.deep.equal({
+                path: '/v2024-01-01/users',
+                version: '2024-01-01',
+                requestedVersion: '2024-01-01'
+            });
+
+            done();
+        });
+    });
+
+    it('returns status code 415 if the requested date is before the first release', (done) => {
+
+        server.inject({
+            method: 'GET',
+            url: '/users',
+            headers: {
+                'Accept': 'application/vnd.mysuperapi.v2020-01-01+json'
+            }
+        }, (response) => {
+
+            expect(response.statusCode).to.equal(415);
+            done();
+        });
+    });
+
+    it('returns status code 415 if a semantic version is requested', (done) => {
+
+        server.inject({
+            method: 'GET',
+            url: '/users',
+            headers: {
+                'Accept': 'application/vnd.mysuperapi.v2+json'
+            }
+        }, (response) => {
+
+            expect(response.statusCode).to.equal(415);
+            done();
+        });
+    });
+});
+
+describe('Versioning with inherited routes', () => {
+
+    const handler = function (request, reply) {
+
+        const plugin = request.plugins['hapi-api-version'];
+        return reply({
+            path: request.path,
+            version: plugin.apiVersion,
+            routeVersion: plugin.routeVersion
+        });
+    };
+
+    beforeEach((done) => {
+
+        server.register([{
+            register: require('../'),
+            options: {
+                validVersions: [1, '1.1', 2, 3],
+                defaultVersion: 3,
+                vendorName: 'mysuperapi',
+                inheritRoutes: true
+            }
+        }], (err) => {
+
+            if (err) {
+                return console.error('Can not register plugins', err);
+            }
+        });
+
+        server.route([
+            { method: 'GET', path: '/v1/users', handler: handler },
+            { method: 'GET', path: '/v2/users', handler: handler },
+            { method: 'GET', path: '/v1.1/groups', handler: handler },
+            { method: 'GET', path: '/v3/items', handler: handler }
+        ]);
+
+        done();
+    });
+
+    it('returns the route of the requested version if it exists', (done) => {
+
+        server.inject({
+            method: 'GET',
+            url: '/users',
+            headers: {
+                'Accept': 'application/vnd.mysuperapi.v2+json'
+            }
+        }, (response) => {
+
+            expect(response.statusCode).to.equal(200);
+            expect(response.result).to.deep.equal({
+                path: '/v2/users',
+                version: 2,
+                routeVersion: 2
+            });
+
+            done();
+        });
+    });
+
+    it('returns the nearest lower versioned route', (done) => {
+
+        server.inject({
+            method: 'GET',
+            url: '/users',
+            headers: {
+                'Accept': 'application/vnd.mysuperapi.v3+json'
+            }
+        }, (response) => {
+
+            expect(response.statusCode).to.equal(200);
+            expect(response.result).to.deep.equal({
+                path: '/v2/users',
+                version: 3,
+                routeVersion: 2
+            });
+
+            done();
+        });
+    });
+
+    it('returns a route inherited from a lower major version', (done) => {
+
+        server.inject({
+            method: 'GET',
+            url: '/groups'
+        }, (response) => {
+
+            expect(response.statusCode).to.equal(200);
+            expect(response.result).to.deep.equal({
+                path: '/v1.1/groups',
+                version: 3,
+                routeVersion: '1.1'
+            });
+
+            done();
+        });
+    });
+
+    it('returns 404 if only higher versioned routes exist', (done) => {
+
+        server.inject({
+            method: 'GET',
+            url: '/items',
+            headers: {
+                'Accept': 'application/vnd.mysuperapi.v2+json'
+            }
+        }, (response) => {
+
+            expect(response.statusCode).to.equal(404);
+            done();
+        });
+    });
+
+    it('returns the nearest lower release route for date versions', (done) => {
+
+        const otherServer = new Hapi.Server();
+        otherServer.connection();
+
+        otherServer.register({
+            register: require('../'),
+            options: {
+                validVersions: ['2024-01-01', '2024-06-01'],
+                defaultVersion: '2024-06-01',
+                vendorName: 'mysuperapi',
+                inheritRoutes: true
+            }
+        }, (err) => {
+
+            expect(err).to.not.exist();
+
+            otherServer.route({ method: 'GET', path: '/v2024-01-01/users', handler: handler });
+            otherServer.inject({
+                method: 'GET',
+                url: '/users'
+            }, (response) => {
+
+                expect(response.statusCode).to.equal(200);
+                expect(response.result).to.deep.equal({
+                    path: '/v2024-01-01/users',
+                    version: '2024-06-01',
+                    routeVersion: '2024-01-01'
+                });
+
+                done();
+            });
+        });
+    });
+});
+
+describe('Deprecated versions', () => {
+
+    beforeEach((done) => {
+
+        server.register([{
+            register: require('../'),
+            options: {
+                validVersions: [1, 2, 3],
+                defaultVersion: 1,
+                vendorName: 'mysuperapi',
+                deprecatedVersions: [{
+                    version: 1,
+                    date: '2024-01-01',
+                    sunset: '2025-01-01',
+                    link: 'https://example.com/deprecations/v1'
+                }, {
+                    version: 2,
+                    date: '2024-06-01'
+                }]
+            }
+        }], (err) => {
+
+            if (err) {
+                return console.error('Can not register plugins', err);
+            }
+        });
+
+        server.route([{
+            method: 'GET',
+            path: '/unversioned',
+            handler: function (request, reply) {
+
+                return reply('unversioned');
+            }
+        }, {
+            method: 'GET',
+            path: '/v1/users',
+            handler: function (request, reply) {
+
+                return reply('v1').header('link', '<https://example.com/users?page=2>; rel="next"');
+            }
+        }, {
+            method: 'GET',
+            path: '/v2/users',
+            handler: function (request, reply) {
+
+                return reply('v2');
+            }
+        }, {
+            method: 'GET',
+            path: '/v3/users',
+            handler: function (request, reply) {
+
+                return reply('v3');
+            }
+        }, {
+            method: 'GET',
+            path: '/v1/error',
+            handler: function (request, reply) {
+
+                return reply(Boom.badRequest());
+            }
+        }]);
+
+        done();
+    });
+
+    it('should fail if a deprecated version is not included in validVersions', (done) => {
+
+        const otherServer = new Hapi.Server();
+        otherServer.connection();
+
+        otherServer.register({
+            register: require('../'),
+            options: {
+                validVersions: [1, 2],
+                defaultVersion: 2,
+                vendorName: 'mysuperapi',
+                deprecatedVersions: [{ version: 3, date: '2024-01-01' }]
+            }
+        }, (err) => {
+
+            expect(err).to.exist();
+            expect(err.message).to.contain('deprecatedVersions');
+            done();
+        });
+    });
+
+    it('returns deprecation, sunset and link headers for a deprecated version', (done) => {
+
+        server.inject({
+            method: 'GET',
+            url: '/users',
+            headers: {
+                'Accept': 'application/vnd.mysuperapi.v1+json'
+            }
+        }, (response) => {
+
+            expect(response.statusCode).to.equal(200);
+            expect(response.headers.deprecation).to.equal('@1704067200');
+            expect(response.headers.sunset).to.equal('Wed, 01 Jan 2025 00:00:00 GMT');
+            expect(response.headers.link).to.equal('<https://example.com/users?page=2>; rel="next",<https://example.com/deprecations/v1>; rel="deprecation"');
+
+            done();
+        });
+    });
+
+    it('returns deprecation headers if the default version is deprecated', (done) => {
+
+        server.inject({
+            method: 'GET',
+            url: '/users'
+        }, (response) => {
+
+            expect(response.statusCode).to.equal(200);
+            expect(response.result).to.equal('v1');
+            expect(response.headers.deprecation).to.equal('@1704067200');
+
+            done();
+        });
+    });
+
+    it('returns only the deprecation header if no sunset date or link is configured', (done) => {
+
+        server.inject({
+            method: 'GET',
+            url: '/users',
+            headers: {
+                'Accept': 'application/vnd.mysuperapi.v2+json'
+            }
+        }, (response) => {
+
+            expect(response.statusCode).to.equal(200);
+            expect(response.headers.deprecation).to.equal('@1717200000');
+            expect(response.headers.sunset).to.not.exist();
+            expect(response.headers.link).to.not.exist();
+
+            done();
+        });
+    });
+
+    it('returns deprecation headers with error responses', (done) => {
+
+        server.inject({
+            method: 'GET',
+            url: '/error',
+            headers: {
+                'Accept': 'application/vnd.mysuperapi.v1+json'
+            }
+        }, (response) => {
+
+            expect(response.statusCode).to.equal(400);
+            expect(response.headers.deprecation).to.equal('@1704067200');
+            expect(response.headers.sunset).to.equal('Wed, 01 Jan 2025 00:00:00 GMT');
+
+            done();
+        });
+    });
+
+    it('returns no deprecation headers for a current version', (done) => {
+
+        server.inject({
+            method: 'GET',
+            url: '/users',
+            headers: {
+                'Accept': 'application/vnd.mysuperapi.v3+json'
+            }
+        }, (response) => {
+
+            expect(response.statusCode).to.equal(200);
+            expect(response.headers.deprecation).to.not.exist();
+
+            done();
+        });
+    });
+
+    it('returns no deprecation headers for unversioned routes', (done) => {
+
+        server.inject({
+            method: 'GET',
+            url: '/unversioned',
+            headers: {
+                'Accept': 'application/vnd.mysuperapi.v1+json'
+            }
+        }, (response) => {
+
+            expect(response.statusCode).to.equal(200);
+            expect(response.headers.deprecation).to.not.exist();
+
+            done();
+        });
+    });
+
+    it('returns the deprecation headers once with multiple registrations', (done) => {
+
+        server.register({
+            register: require('../'),
+            options: {
+                validVersions: [1, 2, 3],
+                defaultVersion: 1,
+                strategy: 'query',
+                descriptor: 'query',
+                deprecatedVersions: [{
+                    version: 1,
+                    date: '2024-01-01',
+                    link: 'https://example.com/deprecations/v1'
+                }]
+            }
+        }, (err) => {
+
+            expect(err).to.not.exist();
+
+            server.inject({
+                method: 'GET',
+                url: '/users',
+                headers: {
+                    'Accept': 'application/vnd.mysuperapi.v1+json'
+                }
+            }, (response) => {
+
+                expect(response.statusCode).to.equal(200);
+                expect(response.headers.link).to.equal('<https://example.com/users?page=2>; rel="next",<https://example.com/deprecations/v1>; rel="deprecation"');
+
+                done();
+            });
+        });
+    });
+});
+
+describe('Sunset enforcement', () => {
+
+    let now;
+
+    beforeEach((done) => {
+
+        now = new Date('2024-12-01');
+
+        server.register([{
+            register: require('../'),
+            options: {
+                validVersions: [1, 2, 3, 4],
+                defaultVersion: 1,
+                preReleaseVersions: [4],
+                vendorName: 'mysuperapi',
+                enforceSunset: true,
+                clock: () => now,
+                deprecatedVersions: [{
+                    version: 1,
+                    date: '2024-01-01',
+                    sunset: '2025-01-01'
+                }, {
+                    version: 2,
+                    date: '2024-06-01'
+                }]
+            }
+        }], (err) => {
+
+            if (err) {
+                return console.error('Can not register plugins', err);
+            }
+        });
+
+        server.route([{
+            method: 'GET',
+            path: '/v1/users',
+            handler: function (request, reply) {
+
+                return reply('v1');
+            }
+        }, {
+            method: 'GET',
+            path: '/v2/users',
+            handler: function (request, reply) {
+
+                return reply('v2');
+            }
+        }]);
+
+        done();
+    });
+
+    it('returns the version before its sunset date', (done) => {
+
+        server.inject({
+            method: 'GET',
+            url: '/users',
+            headers: {
+                'Accept': 'application/vnd.mysuperapi.v1+json'
+            }
+        }, (response) => {
+
+            expect(response.statusCode).to.equal(200);
+            expect(response.result).to.equal('v1');
+            expect(response.headers.sunset).to.equal('Wed, 01 Jan 2025 00:00:00 GMT');
+
+            done();
+        });
+    });
+
+    it('returns status code 410 and the supported versions after the sunset date', (done) => {
+
+        now = new Date('2025-01-01');
+
+        server.inject({
+            method: 'GET',
+            url: '/users',
+            headers: {
+                'Accept': 'application/vnd.mysuperapi.v1+json'
+            }
+        }, (response) => {
+
+            expect(response.statusCode).to.equal(410);
+            expect(response.result.message).to.equal('Api-version 1 is no longer supported. Supported values: 2,3');
+            expect(response.result.supportedVersions).to.deep.equal([2, 3]);
+
+            done();
+        });
+    });
+
+    it('returns deprecated versions without a sunset date', (done) => {
+
+        now = new Date('2030-01-01');
+
+        server.inject({
+            method: 'GET',
+            url: '/users',
+            headers: {
+                'Accept': 'application/vnd.mysuperapi.v2+json'
+            }
+        }, (response) => {
+
+            expect(response.statusCode).to.equal(200);
+            expect(response.result).to.equal('v2');
+
+            done();
+        });
+    });
+
+    it('returns the default version after its sunset date', (done) => {
+
+        now = new Date('2025-01-01');
+
+        server.inject({
+            method: 'GET',
+            url: '/users'
+        }, (response) => {
+
+            expect(response.statusCode).to.equal(200);
+            expect(response.result).to.equal('v1');
+
+            done();
+        });
+    });
+
+    it('uses the current time if no clock is configured', (done) => {
+
+        const otherServer = new Hapi.Server();
+        otherServer.connection();
+
+        otherServer.register({
+            register: require('../'),
+            options: {
+                validVersions: [1, 2],
+                defaultVersion: 2,
+                vendorName: 'mysuperapi',
+                enforceSunset: true,
+                deprecatedVersions: [{
+                    version: 1,
+                    date: '2000-01-01',
+                    sunset: '2001-01-01'
+                }]
+            }
+        }, (err) => {
+
+            expect(err).to.not.exist();
+
+            otherServer.inject({
+                method: 'GET',
+                url: '/users',
+                headers: {
+                    'Accept': 'application/vnd.mysuperapi.v1+json'
+                }
+            }, (response) => {
+
+                expect(response.statusCode).to.equal(410);
+                done();
+            });
+        });
+    });
+});
+
+describe('Version response headers', () => {
+
+    beforeEach((done) => {
+
+        server.register([{
+            register: require('../'),
+            options: {
+                validVersions: [1, 2],
+                defaultVersion: 2,
+                vendorName: 'mysuperapi',
+                versionHeader: 'api-version',
+                contentTypeHeader: true,
+                varyHeader: true
+            }
+        }], (err) => {
+
+            if (err) {
+                return console.error('Can not register plugins', err);
+            }
+        });
+
+        server.route([{
+            method: 'GET',
+            path: '/unversioned',
+            handler: function (request, reply) {
+
+                return reply({ data: 'unversioned' });
+            }
+        }, {
+            method: 'GET',
+            path: '/v2/object',
+            handler: function (request, reply) {
+
+                return reply({ data: 'versioned' });
+            }
+        }, {
+            method: 'GET',
+            path: '/v1/typed',
+            handler: function (request, reply) {
+
+                return reply(JSON.stringify({ data: 'versioned' })).type('application/json; charset=utf-8');
+            }
+        }, {
+            method: 'GET',
+            path: '/v1/html',
+            handler: function (request, reply) {
+
+                return reply('<html></html>').type('text/html');
+            }
+        }, {
+            method: 'GET',
+            path: '/v1/string',
+            handler: function (request, reply) {
+
+                return reply('versioned');
+            }
+        }, {
+            method: 'GET',
+            path: '/v1/empty',
+            handler: function (request, reply) {
+
+                return reply();
+            }
+        }, {
+            method: 'GET',
+            path: '/v1/buffer',
+            handler: function (request, reply) {
+
+                return reply(new Buffer('versioned'));
+            }
+        }, {
+            method: 'GET',
+            path: '/v1/stream',
+            handler: function (request, reply) {
+
+                const stream = new Stream.Readable();
+                stream.push('versioned');
+                stream.push(null);
+                return reply(stream);
+            }
+        }, {
+            method: 'GET',
+            path: '/v1/error',
+            handler: function (request, reply) {
+
+                return reply(Boom.notFound());
+            }
+        }]);
+
+        done();
+    });
+
+    it('should fail if contentTypeHeader is enabled without a vendorName', (done) => {
+
+        const otherServer = new Hapi.Server();
+        otherServer.connection();
+
+        otherServer.register({
+            register: require('../'),
+            options: {
+                validVersions: [1, 2],
+                defaultVersion: 2,
+                getVersion: () => null,
+                contentTypeHeader: true
+            }
+        }, (err) => {
+
+            expect(err).to.exist();
+            expect(err.message).to.contain('contentTypeHeader');
+            done();
+        });
+    });
+
+    it('returns the version headers if the default version was used', (done) => {
+
+        inject('/object', {}, (response) => {
+
+            expect(response.statusCode).to.equal(200);
+            expect(response.headers['api-version']).to.equal('2');
+            expect(response.headers['content-type']).to.equal('application/vnd.mysuperapi.v2+json');
+            expect(response.headers.vary).to.contain('accept');
+
+            done();
+        });
+    });
+
+    it('replaces an explicit json content-type and preserves its parameters', (done) => {
+
+        inject('/typed', accept(1), (response) => {
+
+            expect(response.statusCode).to.equal(200);
+            expect(response.headers['api-version']).to.equal('1');
+            expect(response.headers['content-type']).to.equal('application/vnd.mysuperapi.v1+json; charset=utf-8');
+
+            done();
+        });
+    });
+
+    it('does not replace a content-type other than json', (done) => {
+
+        inject('/html', accept(1), (response) => {
+
+            expect(response.statusCode).to.equal(200);
+            expect(response.headers['content-type']).to.equal('text/html; charset=utf-8');
+
+            done();
+        });
+    });
+
+    it('does not replace the content-type of strings, buffers, streams and empty responses', (done) => {
+
+        inject('/string', accept(1), (stringResponse) => {
+
+            expect(stringResponse.headers['content-type']).to.equal('text/html; charset=utf-8');
+
+            inject('/buffer', accept(1), (bufferResponse) => {
+
+                expect(bufferResponse.headers['content-type']).to.equal('application/octet-stream');
+
+                inject('/stream', accept(1), (streamResponse) => {
+
+                    expect(streamResponse.headers['content-type']).to.not.exist();
+
+                    inject('/empty', accept(1), (emptyResponse) => {
+
+                        expect(emptyResponse.headers['content-type']).to.not.exist();
+                        expect(emptyResponse.headers['api-version']).to.equal('1');
+
+                        done();
+                    });
+                });
+            });
+        });
+    });
+
+    it('returns the version and vary headers with error responses', (done) => {
+
+        inject('/error', accept(1), (response) => {
+
+            expect(response.statusCode).to.equal(404);
+            expect(response.headers['api-version']).to.equal('1');
+            expect(response.headers['content-type']).to.equal('application/json; charset=utf-8');
+            expect(response.headers.vary).to.equal('accept');
+
+            done();
+        });
+    });
+
+    it('returns no version headers for unversioned routes', (done) => {
+
+        inject('/unversioned', accept(1), (response) => {
+
+            expect(response.statusCode).to.equal(200);
+            expect(response.headers['api-version']).to.not.exist();
+            expect(response.headers['content-type']).to.equal('application/json; charset=utf-8');
+
+            done();
+        });
+    });
+
+    it('returns the accept vary header for a custom getVersion function', (done) => {
+
+        const otherServer = new Hapi.Server();
+        otherServer.connection();
+
+        otherServer.register({
+            register: require('../'),
+            options: {
+                validVersions: [1, 2],
+                defaultVersion: 2,
+                getVersion: () => null,
+                varyHeader: true
+            }
+        }, (err) => {
+
+            expect(err).to.not.exist();
+
+            otherServer.route({
+                method: 'GET',
+                path: '/v2/users',
+                handler: function (request, reply) {
+
+                    return reply({ data: 'v2' });
+                }
+            });
+
+            otherServer.inject('/users', (response) => {
+
+                expect(response.statusCode).to.equal(200);
+                expect(response.headers.vary).to.contain('accept');
+
+                done();
+            });
+        });
+    });
+
+    it('returns a custom vary header', (done) => {
+
+        const otherServer = new Hapi.Server();
+        otherServer.connection();
+
+        otherServer.register({
+            register: require('../'),
+            options: {
+                validVersions: [1, 2],
+                defaultVersion: 2,
+                getVersion: (request) => request.headers['api-version'],
+                varyHeader: 'api-version'
+            }
+        }, (err) => {
+
+            expect(err).to.not.exist();
+
+            otherServer.route({
+                method: 'GET',
+                path: '/v1/users',
+                handler: function (request, reply) {
+
+                    return reply({ data: 'v1' });
+                }
+            });
+
+            otherServer.inject({
+                method: 'GET',
+                url: '/users',
+                headers: {
+                    'api-version': '1'
+                }
+            }, (response) => {
+
+                expect(response.statusCode).to.equal(200);
+                expect(response.headers.vary).to.contain('api-version');
+                expect(response.headers['api-version']).to.not.exist();
+                expect(response.headers['content-type']).to.equal('application/json; charset=utf-8');
+
+                done();
+            });
+        });
+    });
+
+    it('returns the response of an onRequest extension that answered before the plugin', (done) => {
+
+        server = new Hapi.Server();
+        server.connection();
+
+        server.ext('onRequest', (request, reply) => {
+
+            return reply(Boom.unauthorized());
+        });
+
+        server.register({
+            register: require('../'),
+            options: {
+                validVersions: [1, 2],
+                defaultVersion: 2,
+                vendorName: 'mysuperapi',
+                versionHeader: 'api-version'
+            }
+        }, (err) => {
+
+            expect(err).to.not.exist();
+
+            inject('/users', {}, (response) => {
+
+                expect(response.statusCode).to.equal(401);
+                expect(response.headers['api-version']).to.not.exist();
+
+                done();
+            });
+        });
+    });
+});
+
+describe('Built-in versioning strategies', () => {
+
+    const handler = function (request, reply) {
+
+        const plugin = request.plugins['hapi-api-version'];
+        return reply({
+            path: request.path,
+            query: Object.assign({}, request.query),
+            version: plugin ? plugin.apiVersion : null,
+            descriptor: plugin ? plugin.descriptor : null
+        });
+    };
+
+    const register = registration({
+        validVersions: [1, 2, '2.1'],
+        defaultVersion: 1
+    }, [
+        { method: 'GET', path: '/unversioned', handler: handler },
+        { method: 'GET', path: '/v1/users', handler: handler },
+        { method: 'GET', path: '/v2/users', handler: handler },
+        { method: 'GET', path: '/videos', handler: handler }
+    ]);
+
+    it('should fail if the strategy is unknown', (done) => {
+
+        register({ strategy: 'cookie' }, (err) => {
+
+            expect(err).to.exist();
+            done();
+        });
+    });
+
+    it('should fail if both getVersion and a strategy are specified', (done) => {
+
+        register({ strategy: 'query', getVersion: () => null }, (err) => {
+
+            expect(err).to.exist();
+            done();
+        });
+    });
+
+    it('should fail if the mediatype strategy is used without a vendorName', (done) => {
+
+        register({ strategy: 'mediatype' }, (err) => {
+
+            expect(err).to.exist();
+            expect(err.message).to.contain('vendorName');
+            done();
+        });
+    });
+
+    describe(' -> query', () => {
+
+        beforeEach((done) => {
+
+            register({ strategy: 'query', varyHeader: true }, done);
+        });
+
+        it('returns the version from the default query parameter', (done) => {
+
+            server.inject('/users?version=2', (response) => {
+
+                expect(response.statusCode).to.equal(200);
+                expect(response.result.path).to.equal('/v2/users');
+                expect(response.result.query).to.deep.equal({ version: '2' });
+                expect(response.result.descriptor).to.equal('query');
+                expect(response.headers.vary).to.not.exist();
+
+                done();
+            });
+        });
+
+        it('returns the default version if the query parameter is missing or empty', (done) => {
+
+            server.inject('/users?version=', (emptyResponse) => {
+
+                expect(emptyResponse.statusCode).to.equal(200);
+                expect(emptyResponse.result.version).to.equal(1);
+                expect(emptyResponse.result.descriptor).to.equal('default');
+
+                server.inject('/users', (missingResponse) => {
+
+                    expect(missingResponse.statusCode).to.equal(200);
+                    expect(missingResponse.result.version).to.equal(1);
+
+                    done();
+                });
+            });
+        });
+
+        it('returns status code 415 if the query parameter is malformed', (done) => {
+
+            server.inject('/users?version=two', (response) => {
+
+                expect(response.statusCode).to.equal(415);
+                done();
+            });
+        });
+
+        it('returns status code 415 if the query parameter is repeated', (done) => {
+
+            server.inject('/users?version=1&version=2', (response) => {
+
+                expect(response.statusCode).to.equal(415);
+                done();
+            });
+        });
+    });
+
+    it('returns the version from a custom query parameter', (done) => {
+
+        register({ strategy: { type: 'query', name: 'v' }, descriptor: 'querystring' }, (err) => {
+
+            expect(err).to.not.exist();
+
+            server.inject('/users?v=2', (response) => {
+
+                expect(response.statusCode).to.equal(200);
+                expect(response.result.version).to.equal(2);
+                expect(response.result.descriptor).to.equal('querystring');
+
+                done();
+            });
+        });
+    });
+
+    describe(' -> header', () => {
+
+        beforeEach((done) => {
+
+            register({ strategy: { type: 'header', name: 'X-Api-Version' }, varyHeader: true }, done);
+        });
+
+        it('returns the version from the custom header', (done) => {
+
+            server.inject({
+                method: 'GET',
+                url: '/users',
+                headers: {
+                    'x-api-version': '2'
+                }
+            }, (response) => {
+
+                expect(response.statusCode).to.equal(200);
+                expect(response.result.version).to.equal(2);
+                expect(response.result.descriptor).to.equal('header');
+                expect(response.headers.vary).to.equal('X-Api-Version');
+
+                done();
+            });
+        });
+
+        it('returns status code 415 if the header is malformed', (done) => {
+
+            server.inject({
+                method: 'GET',
+                url: '/users',
+                headers: {
+                    'x-api-version': 'v2'
+                }
+            }, (response) => {
+
+                expect(response.statusCode).to.equal(415);
+                done();
+            });
+        });
+    });
+
+    it('returns the version from the default header', (done) => {
+
+        register({ strategy: 'header' }, (err) => {
+
+            expect(err).to.not.exist();
+
+            server.inject({
+                method: 'GET',
+                url: '/users',
+                headers: {
+                    'api-version': '2.1'
+                }
+            }, (response) => {
+
+                expect(response.statusCode).to.equal(200);
+                expect(response.result.version).to.equal('2.1');
+                expect(response.result.path).to.equal('/v2/users');
+
+                done();
+            });
+        });
+    });
+
+    describe(' -> path', () => {
+
+        beforeEach((done) => {
+
+            register({ strategy: 'path' }, done);
+        });
+
+        it('returns the version from the path prefix', (done) => {
+
+            server.inject('/v2/users?test=1', (response) => {
+
+                expect(response.statusCode).to.equal(200);
+                expect(response.result.path).to.equal('/v2/users');
+                expect(response.result.query).to.deep.equal({ test: '1' });
+                expect(response.result.version).to.equal(2);
+                expect(response.result.descriptor).to.equal('path');
+
+                done();
+            });
+        });
+
+        it('returns the route of a lower minor version', (done) => {
+
+            server.inject('/v2.1/users', (response) => {
+
+                expect(response.statusCode).to.equal(200);
+                expect(response.result.path).to.equal('/v2/users');
+                expect(response.result.version).to.equal('2.1');
+
+                done();
+            });
+        });
+
+        it('returns the unversioned route if no versioned route exists', (done) => {
+
+            server.inject('/v2/unversioned?test=1', (response) => {
+
+                expect(response.statusCode).to.equal(200);
+                expect(response.result.path).to.equal('/unversioned');
+                expect(response.result.query).to.deep.equal({ test: '1' });
+                expect(response.result.version).to.not.exist();
+
+                done();
+            });
+        });
+
+        it('returns the unversioned root route for a version prefix without a path', (done) => {
+
+            server.route({
+                method: 'GET',
+                path: '/',
+                handler: function (request, reply) {
+
+                    return reply({ path: request.path, query: Object.assign({}, request.query) });
+                }
+            });
+
+            server.inject('/v2?test=1', (response) => {
+
+                expect(response.statusCode).to.equal(200);
+                expect(response.result.path).to.equal('/');
+                expect(response.result.query).to.deep.equal({ test: '1' });
+
+                done();
+            });
+        });
+
+        it('returns the default version if the path has no version prefix', (done) => {
+
+            server.inject('/users', (response) => {
+
+                expect(response.statusCode).to.equal(200);
+                expect(response.result.path).to.equal('/v1/users');
+                expect(response.result.descriptor).to.equal('default');
+
+                done();
+            });
+        });
+
+        it('does not consider path segments starting with a v to be versions', (done) => {
+
+            server.inject('/videos', (response) => {
+
+                expect(response.statusCode).to.equal(200);
+                expect(response.result.path).to.equal('/videos');
+
+                done();
+            });
+        });
+
+        it('returns status code 415 if the path prefix is malformed', (done) => {
+
+            server.inject('/v2x/users', (response) => {
+
+                expect(response.statusCode).to.equal(415);
+                done();
+            });
+        });
+    });
+
+    it('returns the version from the path prefix following the basePath', (done) => {
+
+        register({ strategy: 'path', basePath: '/api/' }, (err) => {
+
+            expect(err).to.not.exist();
+
+            server.route({
+                method: 'GET',
+                path: '/api/v2/users',
+                handler: function (request, reply) {
+
+                    return reply({ path: request.path, version: request.plugins['hapi-api-version'].apiVersion });
+                }
+            });
+
+            server.inject('/api/v2/users', (response) => {
+
+                expect(response.statusCode).to.equal(200);
+                expect(response.result).to.deep.equal({ path: '/api/v2/users', version: 2 });
+
+                done();
+            });
+        });
+    });
+
+    describe(' -> host', () => {
+
+        beforeEach((done) => {
+
+            register({ strategy: 'host' }, done);
+        });
+
+        it('returns the version from the host name', (done) => {
+
+            server.inject({
+                method: 'GET',
+                url: '/users',
+                headers: {
+                    host: 'v2.api.example.com'
+                }
+            }, (response) => {
+
+                expect(response.statusCode).to.equal(200);
+                expect(response.result.path).to.equal('/v2/users');
+                expect(response.result.descriptor).to.equal('host');
+
+                done();
+            });
+        });
+
+        it('returns the default version if the host name has no version', (done) => {
+
+            server.inject({
+                method: 'GET',
+                url: '/users',
+                headers: {
+                    host: 'api.example.com'
+                }
+            }, (response) => {
+
+                expect(response.statusCode).to.equal(200);
+                expect(response.result.path).to.equal('/v1/users');
+
+                done();
+            });
+        });
+
+        it('returns status code 415 if the host name version is malformed', (done) => {
+
+            server.inject({
+                method: 'GET',
+                url: '/users',
+                headers: {
+                    host: 'v2x.api.example.com'
+                }
+            }, (response) => {
+
+                expect(response.statusCode).to.equal(415);
+                done();
+            });
+        });
+    });
+
+    it('returns the version from the accept header using the mediatype strategy', (done) => {
+
+        register({ strategy: 'mediatype', vendorName: 'mysuperapi', varyHeader: true }, (err) => {
+
+            expect(err).to.not.exist();
+
+            server.inject({
+                method: 'GET',
+                url: '/users',
+                headers: {
+                    'Accept': 'application/vnd.mysuperapi.v2+json'
+                }
+            }, (response) => {
+
+                expect(response.statusCode).to.equal(200);
+                expect(response.result.version).to.equal(2);
+                expect(response.result.descriptor).to.equal('mediatype');
+                expect(response.headers.vary).to.equal('accept');
+
+                done();
+            });
+        });
+    });
+});
+
+describe('Versioning strategy chain', () => {
+
+    const handler = function (request, reply) {
+
+        const plugin = request.plugins['hapi-api-version'];
+        return reply({
+            version: plugin.apiVersion,
+            descriptor: plugin.descriptor
+        });
+    };
+
+    const register = registration({
+        validVersions: [1, 2, 3],
+        defaultVersion: 1,
+        vendorName: 'mysuperapi',
+        varyHeader: true,
+        strategy: ['mediatype', { type: 'query', descriptor: 'querystring' }, 'header']
+    }, [
+        { method: 'GET', path: '/v1/users', handler: handler },
+        { method: 'GET', path: '/v2/users', handler: handler },
+        { method: 'GET', path: '/v3/users', handler: handler }
+    ]);
+
+    it('should fail if the strategy chain is empty', (done) => {
+
+        register({ strategy: [] }, (err) => {
+
+            expect(err).to.exist();
+            done();
+        });
+    });
+
+    it('should fail if the strategy chain contains the mediatype strategy without a vendorName', (done) => {
+
+        register({ vendorName: undefined }, (err) => {
+
+            expect(err).to.exist();
+            expect(err.message).to.contain('vendorName');
+            done();
+        });
+    });
+
+    it('should fail if the conflict policy is unknown', (done) => {
+
+        register({ strategyConflict: 'last' }, (err) => {
+
+            expect(err).to.exist();
+            done();
+        });
+    });
+
+    it('should register a combined descriptor', (done) => {
+
+        register({}, (err) => {
+
+            expect(err).to.not.exist();
+            expect(server.plugins['hapi-api-version'].descriptors).to.deep.equal(['mediatype+querystring+header']);
+            done();
+        });
+    });
+
+    describe(' -> first wins', () => {
+
+        beforeEach((done) => {
+
+            register({}, done);
+        });
+
+        it('returns the version of the first strategy that provides a version', (done) => {
+
+            server.inject({
+                method: 'GET',
+                url: '/users?version=3',
+                headers: {
+                    'Accept': 'application/vnd.mysuperapi.v2+json',
+                    'api-version': '1'
+                }
+            }, (response) => {
+
+                expect(response.statusCode).to.equal(200);
+                expect(response.result).to.deep.equal({ version: 2, descriptor: 'mediatype' });
+                expect(response.headers.vary).to.contain('accept,api-version');
+
+                done();
+            });
+        });
+
+        it('returns the version of a later strategy if earlier strategies provide no version', (done) => {
+
+            server.inject({
+                method: 'GET',
+                url: '/users',
+                headers: {
+                    'api-version': '3'
+                }
+            }, (response) => {
+
+                expect(response.statusCode).to.equal(200);
+                expect(response.result).to.deep.equal({ version: 3, descriptor: 'header' });
+
+                done();
+            });
+        });
+
+        it('returns the version of a strategy with a custom descriptor', (done) => {
+
+            server.inject('/users?version=2', (response) => {
+
+                expect(response.statusCode).to.equal(200);
+                expect(response.result).to.deep.equal({ version: 2, descriptor: 'querystring' });
+
+                done();
+            });
+        });
+
+        it('returns the default version if no strategy provides a version', (done) => {
+
+            server.inject('/users', (response) => {
+
+                expect(response.statusCode).to.equal(200);
+                expect(response.result).to.deep.equal({ version: 1, descriptor: 'default' });
+
+                done();
+            });
+        });
+    });
+
+    describe(' -> reject conflicts', () => {
+
+        beforeEach((done) => {
+
+            register({ strategyConflict: 'reject' }, done);
+        });
+
+        it('returns the version if all strategies agree', (done) => {
+
+            server.inject({
+                method: 'GET',
+                url: '/users?version=2',
+                headers: {
+                    'api-version': '2.0'
+                }
+            }, (response) => {
+
+                expect(response.statusCode).to.equal(200);
+                expect(response.result).to.deep.equal({ version: 2, descriptor: 'querystring' });
+
+                done();
+            });
+        });
+
+        it('returns status code 400 if strategies disagree', (done) => {
+
+            server.inject({
+                method: 'GET',
+                url: '/users?version=2',
+                headers: {
+                    'api-version': '3'
+                }
+            }, (response) => {
+
+                expect(response.statusCode).to.equal(400);
+                expect(response.result.message).to.equal('Conflicting api-versions requested: 2,3');
+
+                done();
+            });
+        });
+    });
+});
+
+describe('Accept header content negotiation', () => {
+
+    beforeEach((done) => {
+
+        server.register([{
+            register: require('../'),
+            options: {
+                validVersions: [1, 2],
+                defaultVersion: 1,
+                vendorName: 'mysuperapi'
+            }
+        }], (err) => {
+
+            if (err) {
+                return console.error('Can not register plugins', err);
+            }
+        });
+
+        const handler = function (request, reply) {
+
+            return reply({ version: request.plugins['hapi-api-version'].apiVersion });
+        };
+
+        server.route([
+            { method: 'GET', path: '/v1/users', handler: handler },
+            { method: 'GET', path: '/v2/users', handler: handler }
+        ]);
+
+        done();
+    });
+
+    it('returns the version of the vendor media type among multiple media ranges', (done) => {
+
+        inject('/users', { 'Accept': 'application/vnd.mysuperapi.v2+json, application/json;q=0.8' }, (response) => {
+
+            expect(response.statusCode).to.equal(200);
+            expect(response.result.version).to.equal(2);
+
+            done();
+        });
+    });
+
+    it('returns the version of the vendor media type with the highest q-value', (done) => {
+
+        inject('/users', { 'Accept': 'application/vnd.mysuperapi.v1+json;q=0.5, application/vnd.mysuperapi.v2+json' }, (response) => {
+
+            expect(response.statusCode).to.equal(200);
+            expect(response.result.version).to.equal(2);
+
+            done();
+        });
+    });
+
+    it('returns the first vendor media type if the q-values are equal', (done) => {
+
+        inject('/users', { 'Accept': 'application/vnd.mysuperapi.v1+json;q=0.5, application/vnd.mysuperapi.v2+json;q=0.5' }, (response) => {
+
+            expect(response.statusCode).to.equal(200);
+            expect(response.result.version).to.equal(1);
+
+            done();
+        });
+    });
+
+    it('returns the highest priority vendor media type with a supported version', (done) => {
+
+        inject('/users', { 'Accept': 'application/vnd.mysuperapi.v5+json, application/vnd.mysuperapi.v2+json;q=0.9' }, (response) => {
+
+            expect(response.statusCode).to.equal(200);
+            expect(response.result.version).to.equal(2);
+
+            done();
+        });
+    });
+
+    it('returns status code 415 if no vendor media type has a supported version', (done) => {
+
+        inject('/users', { 'Accept': 'application/vnd.mysuperapi.v5+json, application/vnd.mysuperapi.v6+json;q=0.5' }, (response) => {
+
+            expect(response.statusCode).to.equal(415);
+            done();
+        });
+    });
+
+    it('returns the default version if an unsupported version is accepted together with a media range without a version', (done) => {
+
+        inject('/users', { 'Accept': 'application/vnd.mysuperapi.v9+json, application/json;q=0.5' }, (response) => {
+
+            expect(response.statusCode).to.equal(200);
+            expect(response.result.version).to.equal(1);
+
+            inject('/users', { 'Accept': 'application/vnd.mysuperapi.v5+json, application/vnd.mysuperapi.v6+json;q=0.5, */*;q=0.1' }, (anyResponse) => {
+
+                expect(anyResponse.statusCode).to.equal(200);
+                expect(anyResponse.result.version).to.equal(1);
+
+                done();
+            });
+        });
+    });
+
+    it('returns the default version for media ranges without a version', (done) => {
+
+        inject('/users', { 'Accept': '*/*' }, (anyResponse) => {
+
+            expect(anyResponse.statusCode).to.equal(200);
+            expect(anyResponse.result.version).to.equal(1);
+
+            inject('/users', { 'Accept': 'application/json' }, (jsonResponse) => {
+
+                expect(jsonResponse.statusCode).to.equal(200);
+                expect(jsonResponse.result.version).to.equal(1);
+
+                done();
+            });
+        });
+    });
+
+    it('returns the default version for a browser accept header', (done) => {
+
+        inject('/users', { 'Accept': 'text/html,application/xhtml+xml,application/*;q=0.9,*/*;q=0.8' }, (response) => {
+
+            expect(response.statusCode).to.equal(200);
+            expect(response.result.version).to.equal(1);
+
+            done();
+        });
+    });
+
+    it('ignores media ranges with a q-value of 0', (done) => {
+
+        inject('/users', { 'Accept': 'application/vnd.mysuperapi.v2+json;q=0, application/json' }, (response) => {
+
+            expect(response.statusCode).to.equal(200);
+            expect(response.result.version).to.equal(1);
+
+            done();
+        });
+    });
+
+    it('ignores malformed media ranges', (done) => {
+
+        inject('/users', { 'Accept': 'fail/someinvalidapi, application/vnd.mysuperapi.v2+json' }, (response) => {
+
+            expect(response.statusCode).to.equal(200);
+            expect(response.result.version).to.equal(2);
+
+            done();
+        });
+    });
+});
+
+describe('Media type parameter versioning', () => {
+
+    const handler = function (request, reply) {
+
+        return reply({ version: request.plugins['hapi-api-version'].apiVersion });
+    };
+
+    const register = registration({
+        validVersions: [1, 2],
+        defaultVersion: 1,
+        vendorName: 'mysuperapi'
+    }, [
+        { method: 'GET', path: '/v1/users', handler: handler },
+        { method: 'GET', path: '/v2/users', handler: handler }
+    ]);
+
+    describe(' -> with a version parameter', () => {
+
+        beforeEach((done) => {
+
+            register({ strategy: { type: 'mediatype', name: 'v' } }, done);
+        });
+
+        it('returns the version of the json media type parameter', (done) => {
+
+            inject('/users', { 'Accept': 'application/json; v=2' }, (response) => {
+
+                expect(response.statusCode).to.equal(200);
+                expect(response.result.version).to.equal(2);
+
+                done();
+            });
+        });
+
+        it('returns the version of the vendor media type parameter', (done) => {
+
+            inject('/users', { 'Accept': 'application/vnd.mysuperapi+json; v=2' }, (response) => {
+
+                expect(response.statusCode).to.equal(200);
+                expect(response.result.version).to.equal(2);
+
+                done();
+            });
+        });
+
+        it('returns the version of the vendor media type facet', (done) => {
+
+            inject('/users', accept(2), (response) => {
+
+                expect(response.statusCode).to.equal(200);
+                expect(response.result.version).to.equal(2);
+
+                done();
+            });
+        });
+
+        it('returns the default version for the vendor media type without a version', (done) => {
+
+            inject('/users', { 'Accept': 'application/vnd.mysuperapi+json' }, (response) => {
+
+                expect(response.statusCode).to.equal(200);
+                expect(response.result.version).to.equal(1);
+
+                done();
+            });
+        });
+
+        it('returns status code 415 if the version parameter is not included in validVersions', (done) => {
+
+            inject('/users', { 'Accept': 'application/json; v=5' }, (response) => {
+
+                expect(response.statusCode).to.equal(415);
+                done();
+            });
+        });
+
+        it('returns status code 415 if the version parameter is malformed', (done) => {
+
+            inject('/users', { 'Accept': 'application/json; v=two' }, (response) => {
+
+                expect(response.statusCode).to.equal(415);
+                done();
+            });
+        });
+
+        it('returns status code 415 if the vendor name does not match', (done) => {
+
+            inject('/users', { 'Accept': 'application/vnd.someinvalidapi+json; v=2' }, (response) => {
+
+                expect(response.statusCode).to.equal(415);
+                done();
+            });
+        });
+    });
+
+    describe(' -> without a version parameter', () => {
+
+        beforeEach((done) => {
+
+            register({ strategy: 'mediatype' }, done);
+        });
+
+        it('ignores media type parameters', (done) => {
+
+            inject('/users', { 'Accept': 'application/json; v=2' }, (response) => {
+
+                expect(response.statusCode).to.equal(200);
+                expect(response.result.version).to.equal(1);
+
+                done();
+            });
+        });
+
+        it('returns status code 415 for the vendor media type without a version', (done) => {
+
+            inject('/users', { 'Accept': 'application/vnd.mysuperapi+json' }, (response) => {
+
+                expect(response.statusCode).to.equal(415);
+                done();
+            });
+        });
+    });
+});
+
+describe('Media type pattern', () => {
+
+    const handler = function (request, reply) {
+
+        const plugin = request.plugins['hapi-api-version'];
+        return reply({
+            version: plugin.apiVersion,
+            mediaType: plugin.mediaType
+        });
+    };
+
+    const register = registration({
+        validVersions: [1, 2, 3],
+        defaultVersion: 1
+    }, [
+        { method: 'GET', path: '/v1/users', handler: handler },
+        { method: 'GET', path: '/v2/users', handler: handler },
+        { method: 'GET', path: '/v3/users', handler: handler }
+    ]);
+
+    it('should fail if the pattern is invalid', (done) => {
+
+        const patterns = [
+            'application/vnd.{vendor}+json',
+            'application/vnd.{vendor}.{version}.{unknown}',
+            'application/vnd.{version}.{version}',
+            'application/vnd.{vendor}.v{version}[+{format}',
+            'application/vnd.{vendor}.v{version}]+{format}'
+        ];
+
+        const next = function (i) {
+
+            if (i === patterns.length) {
+                return done();
+            }
+
+            server = new Hapi.Server();
+            server.connection();
+
+            register({ vendorName: 'mysuperapi', mediaTypePattern: patterns[i] }, (err) => {
+
+                expect(err).to.exist();
+                expect(err.message).to.contain('mediaTypePattern');
+                next(i + 1);
+            });
+        };
+
+        next(0);
+    });
+
+    it('exposes the pieces captured by the default pattern', (done) => {
+
+        register({ vendorName: 'mysuperapi' }, (err) => {
+
+            expect(err).to.not.exist();
+
+            inject('/users', accept(2), (response) => {
+
+                expect(response.statusCode).to.equal(200);
+                expect(response.result).to.deep.equal({
+                    version: 2,
+                    mediaType: { vendor: 'mysuperapi', version: '2', format: 'json' }
+                });
+
+                done();
+            });
+        });
+    });
+
+    describe(' -> with an optional param', () => {
+
+        beforeEach((done) => {
+
+            register({
+                vendorName: 'github',
+                mediaTypePattern: 'application/vnd.{vendor}.v{version}[.{param}]+{format}',
+                contentTypeHeader: true
+            }, done);
+        });
+
+        it('returns the version and exposes the param and format', (done) => {
+
+            inject('/users', { 'Accept': 'application/vnd.github.v3.raw+json' }, (response) => {
+
+                expect(response.statusCode).to.equal(200);
+                expect(response.result).to.deep.equal({
+                    version: 3,
+                    mediaType: { vendor: 'github', version: '3', param: 'raw', format: 'json' }
+                });
+                expect(response.headers['content-type']).to.equal('application/vnd.github.v3+json');
+
+                done();
+            });
+        });
+
+        it('returns the version without the optional param', (done) => {
+
+            inject('/users', { 'Accept': 'application/vnd.github.v2+json' }, (response) => {
+
+                expect(response.statusCode).to.equal(200);
+                expect(response.result.mediaType).to.deep.equal({ vendor: 'github', version: '2', format: 'json' });
+
+                done();
+            });
+        });
+
+        it('returns status code 415 if the vendor does not match', (done) => {
+
+            inject('/users', { 'Accept': 'application/vnd.gitlab.v3.raw+json' }, (response) => {
+
+                expect(response.statusCode).to.equal(415);
+                done();
+            });
+        });
+    });
+
+    it('returns the version for vendor names containing dashes and dots', (done) => {
+
+        register({ vendorName: 'acme.billing-corp', mediaTypePattern: 'application/vnd.{vendor}.{version}+{format}' }, (err) => {
+
+            expect(err).to.not.exist();
+
+            inject('/users', { 'Accept': 'application/vnd.acme.billing-corp.2+xml' }, (response) => {
+
+                expect(response.statusCode).to.equal(200);
+                expect(response.result).to.deep.equal({
+                    version: 2,
+                    mediaType: { vendor: 'acme.billing-corp', version: '2', format: 'xml' }
+                });
+
+                done();
+            });
+        });
+    });
+
+    it('returns the version for a pattern without a vendor', (done) => {
+
+        register({ vendorName: 'mysuperapi', mediaTypePattern: 'application/x-api.{version}+json' }, (err) => {
+
+            expect(err).to.not.exist();
+
+            inject('/users', { 'Accept': 'application/x-api.2+json' }, (response) => {
+
+                expect(response.statusCode).to.equal(200);
+                expect(response.result).to.deep.equal({
+                    version: 2,
+                    mediaType: { version: '2' }
+                });
+
+                done();
+            });
+        });
+    });
+
+    it('does not replace the content-type if the pattern requires a param', (done) => {
+
+        register({ vendorName: 'mysuperapi', mediaTypePattern: 'application/vnd.{vendor}.v{version}.{param}+json', contentTypeHeader: true }, (err) => {
+
+            expect(err).to.not.exist();
+
+            inject('/users', { 'Accept': 'application/vnd.mysuperapi.v2.full+json' }, (response) => {
+
+                expect(response.statusCode).to.equal(200);
+                expect(response.result.mediaType).to.deep.equal({ vendor: 'mysuperapi', version: '2', param: 'full' });
+                expect(response.headers['content-type']).to.equal('application/json; charset=utf-8');
+
+                done();
+            });
+        });
+    });
+});
+
+describe('Vendor name aliases', () => {
+
+    const handler = function (request, reply) {
+
+        const plugin = request.plugins['hapi-api-version'];
+        return reply({
+            version: plugin.apiVersion,
+            vendor: plugin.vendor
+        });
+    };
+
+    const register = registration({
+        validVersions: [1, 2],
+        defaultVersion: 1,
+        vendorName: ['newco', { name: 'oldco', deprecated: true }, 'otherco'],
+        contentTypeHeader: true
+    }, [
+        { method: 'GET', path: '/v1/users', handler: handler },
+        { method: 'GET', path: '/v2/users', handler: handler }
+    ]);
+
+    it('should fail if the first vendor name is deprecated', (done) => {
+
+        register({ vendorName: [{ name: 'oldco', deprecated: true }, 'newco'] }, (err) => {
+
+            expect(err).to.exist();
+            expect(err.message).to.equal('hapi-api-version the first vendorName \'oldco\' is the current vendor name and can not be deprecated');
+
+            done();
+        });
+    });
+
+    it('should fail if the vendor names are invalid', (done) => {
+
+        register({ vendorName: [] }, (err) => {
+
+            expect(err).to.exist();
+
+            done();
+        });
+    });
+
+    describe(' -> with a list of vendor names', () => {
+
+        beforeEach((done) => {
+
+            register({}, done);
+        });
+
+        it('returns the version requested using the current vendor name', (done) => {
+
+            inject('/users', { 'Accept': 'application/vnd.newco.v2+json' }, (response) => {
+
+                expect(response.statusCode).to.equal(200);
+                expect(response.result).to.deep.equal({ version: 2, vendor: 'newco' });
+                expect(response.headers['content-type']).to.equal('application/vnd.newco.v2+json');
+                expect(response.headers.warning).to.not.exist();
+
+                done();
+            });
+        });
+
+        it('returns the version requested using an alias', (done) => {
+
+            inject('/users', { 'Accept': 'application/vnd.otherco.v2+json' }, (response) => {
+
+                expect(response.statusCode).to.equal(200);
+                expect(response.result).to.deep.equal({ version: 2, vendor: 'otherco' });
+                expect(response.headers['content-type']).to.equal('application/vnd.otherco.v2+json');
+                expect(response.headers.warning).to.not.exist();
+
+                done();
+            });
+        });
+
+        it('warns about a deprecated alias', (done) => {
+
+            inject('/users', { 'Accept': 'application/vnd.oldco.v1+json' }, (response) => {
+
+                expect(response.statusCode).to.equal(200);
+                expect(response.result).to.deep.equal({ version: 1, vendor: 'oldco' });
+                expect(response.headers['content-type']).to.equal('application/vnd.oldco.v1+json');
+                expect(response.headers.warning).to.equal('299 - "Vendor name \'oldco\' is deprecated, use \'newco\'"');
+
+                done();
+            });
+        });
+
+        it('warns about a deprecated alias once with multiple registrations', (done) => {
+
+            server.register({
+                register: require('../'),
+                options: {
+                    validVersions: [1, 2],
+                    defaultVersion: 1,
+                    vendorName: ['newco', { name: 'oldco', deprecated: true }],
+                    strategy: ['query', 'mediatype'],
+                    descriptor: 'query'
+                }
+            }, (err) => {
+
+                expect(err).to.not.exist();
+
+                inject('/users', { 'Accept': 'application/vnd.oldco.v1+json' }, (response) => {
+
+                    expect(response.statusCode).to.equal(200);
+                    expect(response.headers.warning).to.equal('299 - "Vendor name \'oldco\' is deprecated, use \'newco\'"');
+
+                    done();
+                });
+            });
+        });
+
+        it('responds using the current vendor name for the default version', (done) => {
+
+            inject('/users', { 'Accept': 'application/json' }, (response) => {
+
+                expect(response.statusCode).to.equal(200);
+                expect(response.result).to.deep.equal({ version: 1, vendor: undefined });
+                expect(response.headers['content-type']).to.equal('application/vnd.newco.v1+json');
+
+                done();
+            });
+        });
+
+        it('returns a 415 error for an unknown vendor name', (done) => {
+
+            inject('/users', { 'Accept': 'application/vnd.unknownco.v2+json' }, (response) => {
+
+                expect(response.statusCode).to.equal(415);
+
+                done();
+            });
+        });
+    });
+
+    describe(' -> with a version parameter', () => {
+
+        beforeEach((done) => {
+
+            register({ strategy: { type: 'mediatype', name: 'version' } }, done);
+        });
+
+        it('returns the version requested using an alias', (done) => {
+
+            inject('/users', { 'Accept': 'application/vnd.oldco+json; version=2' }, (response) => {
+
+                expect(response.statusCode).to.equal(200);
+                expect(response.result).to.deep.equal({ version: 2, vendor: 'oldco' });
+                expect(response.headers.warning).to.exist();
+
+                done();
+            });
+        });
+
+        it('returns a 415 error for an unknown vendor name', (done) => {
+
+            inject('/users', { 'Accept': 'application/vnd.unknownco+json; version=2' }, (response) => {
+
+                expect(response.statusCode).to.equal(415);
+
+                done();
+            });
+        });
+    });
+});
+
+describe('Version aliases', () => {
+
+    const handler = function (request, reply) {
+
+        const plugin = request.plugins['hapi-api-version'];
+        return reply({
+            version: plugin.apiVersion,
+            requestedVersion: plugin.requestedVersion,
+            alias: plugin.alias
+        });
+    };
+
+    const register = registration({
+        validVersions: [1, 2, 3],
+        defaultVersion: 2,
+        aliases: { latest: 3, stable: 2 }
+    }, [
+        { method: 'GET', path: '/v1/users', handler: handler },
+        { method: 'GET', path: '/v2/users', handler: handler },
+        { method: 'GET', path: '/v3/users', handler: handler }
+    ]);
+
+    it('should fail if an alias refers to an unknown version', (done) => {
+
+        register({ vendorName: 'mysuperapi', aliases: { latest: 4 } }, (err) => {
+
+            expect(err).to.exist();
+            expect(err.message).to.equal('hapi-api-version aliases contains version \'4\' for alias \'latest\' which is not included in validVersions');
+
+            done();
+        });
+    });
+
+    it('should fail if an alias name is a version', (done) => {
+
+        register({ vendorName: 'mysuperapi', aliases: { '4': 3 } }, (err) => {
+
+            expect(err).to.exist();
+
+            done();
+        });
+    });
+
+    describe(' -> with the mediatype strategy', () => {
+
+        beforeEach((done) => {
+
+            register({ vendorName: 'mysuperapi' }, done);
+        });
+
+        it('returns the version an alias refers to', (done) => {
+
+            inject('/users', { 'Accept': 'application/vnd.mysuperapi.latest+json' }, (response) => {
+
+                expect(response.statusCode).to.equal(200);
+                expect(response.result).to.deep.equal({ version: 3, requestedVersion: 3, alias: 'latest' });
+
+                done();
+            });
+        });
+
+        it('returns a version without an alias', (done) => {
+
+            inject('/users', { 'Accept': 'application/vnd.mysuperapi.v1+json' }, (response) => {
+
+                expect(response.statusCode).to.equal(200);
+                expect(response.result).to.deep.equal({ version: 1, requestedVersion: '1', alias: undefined });
+
+                done();
+            });
+        });
+
+        it('returns the version of an alias provided by the version parameter', (done) => {
+
+            server = new Hapi.Server();
+            server.connection();
+
+            register({ vendorName: 'mysuperapi', strategy: { type: 'mediatype', name: 'version' } }, (err) => {
+
+                expect(err).to.not.exist();
+
+                inject('/users', { 'Accept': 'application/json; version=stable' }, (response) => {
+
+                    expect(response.statusCode).to.equal(200);
+                    expect(response.result).to.deep.equal({ version: 2, requestedVersion: 2, alias: 'stable' });
+
+                    done();
+                });
+            });
+        });
+
+        it('returns a 415 error for an unknown alias', (done) => {
+
+            inject('/users', { 'Accept': 'application/vnd.mysuperapi.nightly+json' }, (response) => {
+
+                expect(response.statusCode).to.equal(415);
+
+                done();
+            });
+        });
+    });
+
+    it('returns the version of an alias in a pattern without a version prefix', (done) => {
+
+        register({ vendorName: 'mysuperapi', mediaTypePattern: 'application/vnd.{vendor}-{version}+json' }, (err) => {
+
+            expect(err).to.not.exist();
+
+            inject('/users', { 'Accept': 'application/vnd.mysuperapi-latest+json' }, (response) => {
+
+                expect(response.statusCode).to.equal(200);
+                expect(response.result).to.deep.equal({ version: 3, requestedVersion: 3, alias: 'latest' });
+
+                done();
+            });
+        });
+    });
+
+    describe(' -> with the query and header strategies', () => {
+
+        beforeEach((done) => {
+
+            register({ strategy: ['query', 'header'], strategyConflict: 'reject' }, done);
+        });
+
+        it('returns the version an alias refers to', (done) => {
+
+            inject('/users?version=stable', {}, (response) => {
+
+                expect(response.statusCode).to.equal(200);
+                expect(response.result).to.deep.equal({ version: 2, requestedVersion: 2, alias: 'stable' });
+
+                done();
+            });
+        });
+
+        it('accepts an alias and a version that refer to the same release', (done) => {
+
+            inject('/users?version=latest', { 'api-version': '3' }, (response) => {
+
+                expect(response.statusCode).to.equal(200);
+                expect(response.result.version).to.equal(3);
+
+                done();
+            });
+        });
+
+        it('returns a 415 error for an unknown alias', (done) => {
+
+            inject('/users?version=nightly', {}, (response) => {
+
+                expect(response.statusCode).to.equal(415);
+
+                done();
+            });
+        });
+    });
+
+    it('returns the version of an alias returned by getVersion', (done) => {
+
+        register({
+            getVersion: (request, options) => {
+
+                return 'latest';
+            }
+        }, (err) => {
+
+            expect(err).to.not.exist();
+
+            inject('/users', {}, (response) => {
+
+                expect(response.statusCode).to.equal(200);
+                expect(response.result).to.deep.equal({ version: 3, requestedVersion: 3, alias: 'latest' });
+
+                done();
+            });
+        });
+    });
+});
+
+describe('Pre-release versions', () => {
+
+    const handler = function (request, reply) {
+
+        const plugin = request.plugins['hapi-api-version'];
+        return reply({
+            version: plugin.apiVersion,
+            routeVersion: plugin.routeVersion
+        });
+    };
+
+    const register = registration({
+        validVersions: [1, 2, 3],
+        defaultVersion: 2,
+        preReleaseVersions: [3],
+        vendorName: 'mysuperapi'
+    }, [
+        { method: 'GET', path: '/v1/users', handler: handler },
+        { method: 'GET', path: '/v2/users', handler: handler },
+        { method: 'GET', path: '/v3/users', handler: handler },
+        { method: 'GET', path: '/v2024-01-01/users', handler: handler },
+        { method: 'GET', path: '/v2024-06-01/users', handler: handler }
+    ]);
+
+    it('should fail if a pre-release version is not included in validVersions', (done) => {
+
+        register({ preReleaseVersions: [4] }, (err) => {
+
+            expect(err).to.exist();
+            expect(err.message).to.equal('hapi-api-version preReleaseVersions contains version \'4\' which is not included in validVersions');
+
+            done();
+        });
+    });
+
+    it('should fail if the default version is a pre-release version', (done) => {
+
+        register({ defaultVersion: 3 }, (err) => {
+
+            expect(err).to.exist();
+            expect(err.message).to.equal('hapi-api-version defaultVersion \'3\' can not be a pre-release version');
+
+            done();
+        });
+    });
+
+    it('should fail if an alias refers to a pre-release version', (done) => {
+
+        register({ aliases: { latest: 3 } }, (err) => {
+
+            expect(err).to.exist();
+            expect(err.message).to.equal('hapi-api-version alias \'latest\' can not refer to the pre-release version \'3\'');
+
+            done();
+        });
+    });
+
+    describe(' -> without an opt-in header', () => {
+
+        beforeEach((done) => {
+
+            register({}, done);
+        });
+
+        it('returns an explicitly requested pre-release version with a warning header', (done) => {
+
+            inject('/users', accept(3), (response) => {
+
+                expect(response.statusCode).to.equal(200);
+                expect(response.result.version).to.equal(3);
+                expect(response.headers.warning).to.equal('299 - "Api-version 3 is a pre-release and may change without notice"');
+
+                done();
+            });
+        });
+
+        it('returns the warning header once with multiple registrations', (done) => {
+
+            server.register({
+                register: require('../'),
+                options: {
+                    validVersions: [1, 2, 3],
+                    defaultVersion: 2,
+                    preReleaseVersions: [3],
+                    strategy: 'query',
+                    descriptor: 'query'
+                }
+            }, (err) => {
+
+                expect(err).to.not.exist();
+
+                inject('/users', accept(3), (response) => {
+
+                    expect(response.statusCode).to.equal(200);
+                    expect(response.headers.warning).to.equal('299 - "Api-version 3 is a pre-release and may change without notice"');
+
+                    done();
+                });
+            });
+        });
+
+        it('returns a general version without a warning header', (done) => {
+
+            inject('/users', accept(2), (response) => {
+
+                expect(response.statusCode).to.equal(200);
+                expect(response.result.version).to.equal(2);
+                expect(response.headers.warning).to.not.exist();
+
+                done();
+            });
+        });
+    });
+
+    describe(' -> with an opt-in header', () => {
+
+        beforeEach((done) => {
+
+            register({ preReleaseHeader: 'Api-Prerelease' }, done);
+        });
+
+        it('returns a pre-release version if the opt-in header is present', (done) => {
+
+            inject('/users', { 'Accept': 'application/vnd.mysuperapi.v3+json', 'api-prerelease': 'true' }, (response) => {
+
+                expect(response.statusCode).to.equal(200);
+                expect(response.result.version).to.equal(3);
+
+                done();
+            });
+        });
+
+        it('returns a 415 error if the opt-in header is missing', (done) => {
+
+            inject('/users', accept(3), (response) => {
+
+                expect(response.statusCode).to.equal(415);
+                expect(response.result.message).to.equal('Api-version 3 is a pre-release and requires the api-prerelease header');
+
+                done();
+            });
+        });
+
+        it('returns a general version without the opt-in header', (done) => {
+
+            inject('/users', accept(1), (response) => {
+
+                expect(response.statusCode).to.equal(200);
+                expect(response.result.version).to.equal(1);
+
+                done();
+            });
+        });
+    });
+
+    it('does not inherit the routes of a pre-release version', (done) => {
+
+        register({ validVersions: [1, 2, 3, 4], inheritRoutes: true }, (err) => {
+
+            expect(err).to.not.exist();
+
+            inject('/users', accept(4), (response) => {
+
+                expect(response.statusCode).to.equal(200);
+                expect(response.result).to.deep.equal({ version: 4, routeVersion: 2 });
+
+                done();
+            });
+        });
+    });
+
+    describe(' -> with date versions', () => {
+
+        beforeEach((done) => {
+
+            register({ validVersions: ['2024-01-01', '2024-06-01'], defaultVersion: '2024-01-01', preReleaseVersions: ['2024-06-01'] }, done);
+        });
+
+        it('returns the general release for a later date', (done) => {
+
+            inject('/users', accept('2024-07-01'), (response) => {
+
+                expect(response.statusCode).to.equal(200);
+                expect(response.result.version).to.equal('2024-01-01');
+
+                done();
+            });
+        });
+
+        it('returns the pre-release for its exact date', (done) => {
+
+            inject('/users', accept('2024-06-01'), (response) => {
+
+                expect(response.statusCode).to.equal(200);
+                expect(response.result.version).to.equal('2024-06-01');
+
+                done();
+            });
+        });
+    });
+});
+
+describe('Asynchronous getVersion', () => {
+
+    const handler = function (request, reply) {
+
+        return reply({ version: request.plugins['hapi-api-version'].apiVersion });
+    };
+
+    const register = registration({
+        validVersions: [1, 2],
+        defaultVersion: 1
+    }, [
+        { method: 'GET', path: '/v1/users', handler: handler },
+        { method: 'GET', path: '/v2/users', handler: handler }
+    ]);
+
+    // Requests the users with the version determined by getVersion
+    const requestWith = function (getVersion, callback) {
+
+        register({ getVersion: getVersion }, (err) => {
+
+            expect(err).to.not.exist();
+
+            inject('/users', {}, callback);
+        });
+    };
+
+    it('returns the version resolved by a Promise', (done) => {
+
+        requestWith((request, options) => {
+
+            return Promise.resolve(2);
+        }, (response) => {
+
+            expect(response.statusCode).to.equal(200);
+            expect(response.result.version).to.equal(2);
+
+            done();
+        });
+    });
+
+    it('returns the default version if a Promise resolves without a version', (done) => {
+
+        requestWith((request, options) => {
+
+            return Promise.resolve(null);
+        }, (response) => {
+
+            expect(response.statusCode).to.equal(200);
+            expect(response.result.version).to.equal(1);
+
+            done();
+        });
+    });
+
+    it('returns the Boom error a Promise is rejected with', (done) => {
+
+        requestWith((request, options) => {
+
+            return Promise.reject(Boom.forbidden('Unknown api key'));
+        }, (response) => {
+
+            expect(response.statusCode).to.equal(403);
+            expect(response.result.message).to.equal('Unknown api key');
+
+            done();
+        });
+    });
+
+    it('returns a 500 error if a Promise is rejected with an error', (done) => {
+
+        requestWith((request, options) => {
+
+            return Promise.reject(new Error('Cache unavailable'));
+        }, (response) => {
+
+            expect(response.statusCode).to.equal(500);
+
+            done();
+        });
+    });
+
+    it('returns a 500 error if a Promise is rejected with a value', (done) => {
+
+        requestWith((request, options) => {
+
+            return Promise.reject('Cache unavailable');
+        }, (response) => {
+
+            expect(response.statusCode).to.equal(500);
+
+            done();
+        });
+    });
+
+    it('returns a 500 error if a Promise is rejected without a reason', (done) => {
+
+        requestWith((request, options) => {
+
+            return Promise.reject();
+        }, (response) => {
+
+            expect(response.statusCode).to.equal(500);
+
+            done();
+        });
+    });
+
+    it('returns a 500 error if handling the version resolved by a Promise throws', (done) => {
+
+        register({
+            getVersion: (request, options) => Promise.resolve(null),
+            pinnedVersion: {
+                strategy: 'apikey',
+                getVersion: (credentials, request) => credentials.missing.apiVersion
+            }
+        }, (err) => {
+
+            expect(err).to.not.exist();
+
+            server.auth.scheme('apikey', () => {
+
+                return {
+                    authenticate: (request, reply) => reply.continue({ credentials: {} })
+                };
+            });
+
+            server.auth.strategy('apikey', 'apikey');
+
+            inject('/users', {}, (response) => {
+
+                expect(response.statusCode).to.equal(500);
+
+                done();
+            });
+        });
+    });
+
+    it('returns the version passed to the callback', (done) => {
+
+        requestWith((request, options, callback) => {
+
+            setImmediate(() => callback(null, 2));
+        }, (response) => {
+
+            expect(response.statusCode).to.equal(200);
+            expect(response.result.version).to.equal(2);
+
+            done();
+        });
+    });
+
+    it('returns the error passed to the callback', (done) => {
+
+        requestWith((request, options, callback) => {
+
+            setImmediate(() => callback(Boom.unauthorized('Missing api key')));
+        }, (response) => {
+
+            expect(response.statusCode).to.equal(401);
+
+            done();
+        });
+    });
+
+    it('returns a 415 error for an invalid version passed to the callback', (done) => {
+
+        requestWith((request, options, callback) => {
+
+            callback(null, 3);
+        }, (response) => {
+
+            expect(response.statusCode).to.equal(415);
+
+            done();
+        });
+    });
+});
+
+describe('Pinned default versions', () => {
+
+    const handler = function (request, reply) {
+
+        const plugin = request.plugins['hapi-api-version'];
+        return reply({
+            version: plugin.apiVersion,
+            requestedVersion: plugin.requestedVersion,
+            useDefault: plugin.useDefault,
+            pinned: plugin.pinned,
+            key: request.auth.credentials ? request.auth.credentials.key : null
+        });
+    };
+
+    const config = { auth: { strategy: 'apikey', mode: 'optional' } };
+
+    // The routes authenticate with the strategy, so it is added before the plugin is registered
+    const register = function (options, callback) {
+
+        server.auth.scheme('apikey', () => {
+
+            return {
+                authenticate: (request, reply) => {
+
+                    const key = request.headers['api-key'];
+                    if (!key) {
+                        return reply(Boom.unauthorized(null, 'apikey'));
+                    }
+
+                    return reply.continue({ credentials: { key: key, apiVersion: { old: 1, pre: 3, unknown: 4 }[key] } });
+                }
+            };
+        });
+
+        server.auth.strategy('apikey', 'apikey');
+
+        registration({
+            validVersions: [1, 2, 3],
+            defaultVersion: 2,
+            preReleaseVersions: [3],
+            vendorName: 'mysuperapi',
+            pinnedVersion: {
+                strategy: 'apikey',
+                getVersion: (credentials, request) => {
+
+                    return credentials.apiVersion;
+                }
+            }
+        }, [
+            { method: 'GET', path: '/v1/users', handler: handler, config: config },
+            { method: 'GET', path: '/v2/users', handler: handler, config: config },
+            { method: 'GET', path: '/v3/users', handler: handler, config: config }
+        ])(options, callback);
+    };
+
+    beforeEach((done) => {
+
+        register({}, done);
+    });
+
+    it('returns the version pinned by the credentials', (done) => {
+
+        inject('/users', { 'api-key': 'old' }, (response) => {
+
+            expect(response.statusCode).to.equal(200);
+            expect(response.result).to.deep.equal({ version: 1, requestedVersion: 1, useDefault: true, pinned: true, key: 'old' });
+
+            done();
+        });
+    });
+
+    it('returns a pre-release version pinned by the credentials without an opt-in header configured', (done) => {
+
+        inject('/users', { 'api-key': 'pre' }, (response) => {
+
+            expect(response.statusCode).to.equal(200);
+            expect(response.result.version).to.equal(3);
+
+            done();
+        });
+    });
+
+    it('returns an error if a pre-release version is pinned without the opt-in header', (done) => {
+
+        server = new Hapi.Server();
+        server.connection();
+
+        register({ preReleaseHeader: 'api-preview' }, (err) => {
+
+            expect(err).to.not.exist();
+
+            inject('/users', { 'api-key': 'pre' }, (response) => {
+
+                expect(response.statusCode).to.equal(415);
+                expect(response.result.message).to.equal('Api-version 3 is a pre-release and requires the api-preview header');
+
+                inject('/users', { 'api-key': 'pre', 'api-preview': 'true' }, (optInResponse) => {
+
+                    expect(optInResponse.statusCode).to.equal(200);
+                    expect(optInResponse.result.version).to.equal(3);
+
+                    done();
+                });
+            });
+        });
+    });
+
+    it('returns status code 410 if the pinned version passed its sunset date', (done) => {
+
+        server = new Hapi.Server();
+        server.connection();
+
+        register({
+            enforceSunset: true,
+            clock: () => new Date('2025-01-01'),
+            deprecatedVersions: [{ version: 1, date: '2024-01-01', sunset: '2024-06-01' }]
+        }, (err) => {
+
+            expect(err).to.not.exist();
+
+            inject('/users', { 'api-key': 'old' }, (response) => {
+
+                expect(response.statusCode).to.equal(410);
+                expect(response.result.supportedVersions).to.deep.equal([2]);
+
+                done();
+            });
+        });
+    });
+
+    it('returns the requested version instead of the pinned version', (done) => {
+
+        inject('/users', { 'api-key': 'old', 'Accept': 'application/vnd.mysuperapi.v2+json' }, (response) => {
+
+            expect(response.statusCode).to.equal(200);
+            expect(response.result).to.deep.equal({ version: 2, requestedVersion: '2', useDefault: false, pinned: false, key: 'old' });
+
+            done();
+        });
+    });
+
+    it('returns the default version without a pinned version', (done) => {
+
+        inject('/users', { 'api-key': 'new' }, (response) => {
+
+            expect(response.statusCode).to.equal(200);
+            expect(response.result).to.deep.equal({ version: 2, requestedVersion: 2, useDefault: true, pinned: false, key: 'new' });
+
+            done();
+        });
+    });
+
+    it('returns the default version for unauthenticated requests', (done) => {
+
+        inject('/users', {}, (response) => {
+
+            expect(response.statusCode).to.equal(200);
+            expect(response.result).to.deep.equal({ version: 2, requestedVersion: 2, useDefault: true, pinned: false, key: null });
+
+            done();
+        });
+    });
+
+    it('returns a 500 error if the pinned version is invalid', (done) => {
+
+        inject('/users', { 'api-key': 'unknown' }, (response) => {
+
+            expect(response.statusCode).to.equal(500);
+
+            done();
+        });
+    });
+
+    it('returns a 400 error for conflicting versions', (done) => {
+
+        server = new Hapi.Server();
+        server.connection();
+
+        register({ strategy: ['query', 'header'], strategyConflict: 'reject', vendorName: undefined }, (err) => {
+
+            expect(err).to.not.exist();
+
+            inject('/users?version=1', { 'api-version': '2', 'api-key': 'old' }, (response) => {
+
+                expect(response.statusCode).to.equal(400);
+
+                done();
+            });
+        });
+    });
+
+    it('skips the pinned version in passive mode', (done) => {
+
+        server = new Hapi.Server();
+        server.connection();
+
+        register({ passiveMode: true }, (err) => {
+
+            expect(err).to.not.exist();
+
+            inject('/users', { 'api-key': 'old' }, (response) => {
+
+                expect(response.statusCode).to.equal(404);
+
+                done();
+            });
+        });
+    });
+
+    it('should fail to start if the strategy is not registered', (done) => {
+
+        server = new Hapi.Server();
+        server.connection();
+
+        server.register({
+            register: require('../'),
+            options: {
+                validVersions: [1, 2],
+                defaultVersion: 2,
+                vendorName: 'mysuperapi',
+                pinnedVersion: {
+                    strategy: 'nope',
+                    getVersion: (credentials, request) => credentials.apiVersion
+                }
+            }
+        }, (err) => {
+
+            expect(err).to.not.exist();
+
+            server.initialize((err2) => {
+
+                expect(err2).to.exist();
+                expect(err2.message).to.equal('hapi-api-version pinnedVersion strategy \'nope\' is not a registered authentication strategy');
+
+                done();
+            });
+        });
+    });
+
+    it('starts if the strategy is registered', (done) => {
+
+        server.initialize((err) => {
+
+            expect(err).to.not.exist();
+
+            done();
+        });
+    });
+});
+
+describe('Strict mode', () => {
+
+    const handler = function (request, reply) {
+
+        return reply({ path: request.path, version: request.plugins['hapi-api-version'].apiVersion });
+    };
+
+    const register = registration({
+        validVersions: [1, 2],
+        defaultVersion: 1,
+        strategy: ['path', 'mediatype'],
+        vendorName: 'mysuperapi',
+        strict: true,
+        unversionedPaths: ['/health', '/docs/{path*}']
+    }, [
+        { method: 'GET', path: '/v1/users', handler: handler },
+        { method: 'GET', path: '/users', handler: handler },
+        { method: 'GET', path: '/health', handler: handler },
+        { method: 'GET', path: '/docs/{path*}', handler: handler }
+    ]);
+
+    it('should fail if the error code is not 404 or 406', (done) => {
+
+        register({ strictErrorCode: 500 }, (err) => {
+
+            expect(err).to.exist();
+
+            done();
+        });
+    });
+
+    describe(' -> with the default error code', () => {
+
+        beforeEach((done) => {
+
+            register({}, done);
+        });
+
+        it('returns the versioned route of the requested version', (done) => {
+
+            inject('/users', accept(1), (response) => {
+
+                expect(response.statusCode).to.equal(200);
+                expect(response.result.path).to.equal('/v1/users');
+
+                done();
+            });
+        });
+
+        it('returns a 404 error if the requested version has no versioned route', (done) => {
+
+            inject('/users', accept(2), (response) => {
+
+                expect(response.statusCode).to.equal(404);
+                expect(response.result.message).to.equal('Api-version 2 is not available for /users');
+
+                done();
+            });
+        });
+
+        it('returns a 404 error if the requested version of a path has no versioned route', (done) => {
+
+            inject('/v2/users', {}, (response) => {
+
+                expect(response.statusCode).to.equal(404);
+                expect(response.result.message).to.equal('Api-version 2 is not available for /v2/users');
+
+                done();
+            });
+        });
+
+        it('returns a 404 error if no route matches', (done) => {
+
+            inject('/v2/unknown', {}, (response) => {
+
+                expect(response.statusCode).to.equal(404);
+
+                done();
+            });
+        });
+
+        it('returns an allowed unversioned route', (done) => {
+
+            inject('/v2/health', {}, (response) => {
+
+                expect(response.statusCode).to.equal(200);
+                expect(response.result.path).to.equal('/health');
+
+                done();
+            });
+        });
+
+        it('returns an allowed unversioned route with parameters', (done) => {
+
+            inject('/docs/api/users', accept(2), (response) => {
+
+                expect(response.statusCode).to.equal(200);
+                expect(response.result.path).to.equal('/docs/api/users');
+
+                done();
+            });
+        });
+
+        it('returns the unversioned route for the default version', (done) => {
+
+            inject('/health', {}, (response) => {
+
+                expect(response.statusCode).to.equal(200);
+
+                done();
+            });
+        });
+    });
+
+    it('returns the configured error code', (done) => {
+
+        register({ strictErrorCode: 406 }, (err) => {
+
+            expect(err).to.not.exist();
+
+            inject('/users', accept(2), (response) => {
+
+                expect(response.statusCode).to.equal(406);
+
+                done();
+            });
+        });
+    });
+});
+
+describe('Redirect mode', () => {
+
+    const handler = function (request, reply) {
+
+        return reply({ path: request.path, version: request.plugins['hapi-api-version'].apiVersion });
+    };
+
+    const register = registration({
+        validVersions: [1, 2],
+        defaultVersion: 1,
+        vendorName: 'mysuperapi',
+        mode: 'redirect'
+    }, [
+        { method: 'GET', path: '/v1/users', handler: handler },
+        { method: 'GET', path: '/v2/users', handler: handler },
+        { method: 'GET', path: '/health', handler: handler }
+    ]);
+
+    it('should fail if the status code is not 307 or 308', (done) => {
+
+        register({ redirectStatusCode: 302 }, (err) => {
+
+            expect(err).to.exist();
+
+            done();
+        });
+    });
+
+    describe(' -> with the mediatype strategy', () => {
+
+        beforeEach((done) => {
+
+            register({}, done);
+        });
+
+        it('redirects to the versioned path of the requested version', (done) => {
+
+            inject('/users?page=2', { 'Accept': 'application/vnd.mysuperapi.v2+json' }, (response) => {
+
+                expect(response.statusCode).to.equal(307);
+                expect(response.headers.location).to.equal('/v2/users?page=2');
+                expect(response.headers.vary).to.equal('accept');
+
+                done();
+            });
+        });
+
+        it('redirects to the versioned path of the default version', (done) => {
+
+            inject('/users', {}, (response) => {
+
+                expect(response.statusCode).to.equal(307);
+                expect(response.headers.location).to.equal('/v1/users');
+
+                done();
+            });
+        });
+
+        it('does not redirect unversioned routes', (done) => {
+
+            inject('/health', {}, (response) => {
+
+                expect(response.statusCode).to.equal(200);
+
+                done();
+            });
+        });
+    });
+
+    describe(' -> with the path and query strategies', () => {
+
+        beforeEach((done) => {
+
+            register({ strategy: ['path', 'query'], redirectStatusCode: 308 }, done);
+        });
+
+        it('redirects to the versioned path of the requested version', (done) => {
+
+            inject('/users?version=2', {}, (response) => {
+
+                expect(response.statusCode).to.equal(308);
+                expect(response.headers.location).to.equal('/v2/users?version=2');
+                expect(response.headers.vary).to.not.exist();
+
+                done();
+            });
+        });
+
+        it('serves the versioned path without a redirect', (done) => {
+
+            inject('/v2/users', {}, (response) => {
+
+                expect(response.statusCode).to.equal(200);
+                expect(response.result).to.deep.equal({ path: '/v2/users', version: 2 });
+
+                done();
+            });
+        });
+    });
+
+    it('redirects to the path of the requested version if it is served by the route of another version', (done) => {
+
+        register({ validVersions: [1, 2, '2.1', 3], inheritRoutes: true }, (err) => {
+
+            expect(err).to.not.exist();
+
+            inject('/users', accept(3), (response) => {
+
+                expect(response.statusCode).to.equal(307);
+                expect(response.headers.location).to.equal('/v3/users');
+
+                inject('/v3/users', {}, (followResponse) => {
+
+                    expect(followResponse.statusCode).to.equal(200);
+                    expect(followResponse.result).to.deep.equal({ path: '/v2/users', version: 3 });
+
+                    inject('/users', accept('2.1'), (minorResponse) => {
+
+                        expect(minorResponse.statusCode).to.equal(307);
+                        expect(minorResponse.headers.location).to.equal('/v2.1/users');
+
+                        inject('/v2.1/users', {}, (minorFollowResponse) => {
+
+                            expect(minorFollowResponse.statusCode).to.equal(200);
+                            expect(minorFollowResponse.result).to.deep.equal({ path: '/v2/users', version: '2.1' });
+
+                            done();
+                        });
+                    });
+                });
+            });
+        });
+    });
+
+    it('redirects using the configured vary header', (done) => {
+
+        register({ varyHeader: 'x-api-version' }, (err) => {
+
+            expect(err).to.not.exist();
+
+            inject('/users', {}, (response) => {
+
+                expect(response.statusCode).to.equal(307);
+                expect(response.headers.vary).to.equal('x-api-version');
+
+                done();
+            });
+        });
+    });
+});
+
+describe('Explicitly versioned paths', () => {
+
+    const handler = function (request, reply) {
+
+        const plugin = request.plugins['hapi-api-version'];
+        return reply({
+            path: request.path,
+            version: plugin.apiVersion,
+            useDefault: plugin.useDefault,
+            descriptor: plugin.descriptor
+        });
+    };
+
+    const register = registration({
+        validVersions: [1, 2],
+        defaultVersion: 2,
+        basePath: '/api/'
+    }, [
+        { method: 'GET', path: '/api/v1/users', handler: handler },
+        { method: 'GET', path: '/api/v2/users', handler: handler },
+        { method: 'GET', path: '/api/videos', handler: handler }
+    ]);
+
+    describe(' -> with the mediatype strategy', () => {
+
+        beforeEach((done) => {
+
+            register({ vendorName: 'mysuperapi' }, done);
+        });
+
+        it('returns the version of the path', (done) => {
+
+            inject('/api/v1/users', {}, (response) => {
+
+                expect(response.statusCode).to.equal(200);
+                expect(response.result).to.deep.equal({ path: '/api/v1/users', version: 1, useDefault: false, descriptor: 'path' });
+
+                done();
+            });
+        });
+
+        it('returns the version of the path instead of the accept header', (done) => {
+
+            inject('/api/v1/users', { 'Accept': 'application/vnd.mysuperapi.v2+json' }, (response) => {
+
+                expect(response.statusCode).to.equal(200);
+                expect(response.result).to.deep.equal({ path: '/api/v1/users', version: 1, useDefault: false, descriptor: 'path' });
+
+                done();
+            });
+        });
+
+        it('returns a 415 error for an invalid version of the path', (done) => {
+
+            inject('/api/v3/users', {}, (response) => {
+
+                expect(response.statusCode).to.equal(415);
+
+                done();
+            });
+        });
+
+        it('does not detect paths that are not a version', (done) => {
+
+            inject('/api/videos', {}, (response) => {
+
+                expect(response.statusCode).to.equal(200);
+                expect(response.result.version).to.not.exist();
+
+                done();
+            });
+        });
+
+        it('does not detect malformed versions', (done) => {
+
+            inject('/api/v1x/users', {}, (response) => {
+
+                expect(response.statusCode).to.equal(404);
+
+                done();
+            });
+        });
+
+        it('returns a 404 error for a version of the path without a versioned route', (done) => {
+
+            inject('/api/v1/videos', {}, (response) => {
+
+                expect(response.statusCode).to.equal(404);
+
+                done();
+            });
+        });
+    });
+
+    it('returns the version of the path with a custom getVersion function', (done) => {
+
+        register({
+            getVersion: (request, options) => {
+
+                return 1;
+            }
+        }, (err) => {
+
+            expect(err).to.not.exist();
+
+            inject('/api/v2/users', {}, (response) => {
+
+                expect(response.statusCode).to.equal(200);
+                expect(response.result).to.deep.equal({ path: '/api/v2/users', version: 2, useDefault: false, descriptor: 'path' });
+
+                done();
+            });
+        });
+    });
+
+    it('returns the version of the strategy that comes before the path strategy', (done) => {
+
+        register({ strategy: ['query', 'path'] }, (err) => {
+
+            expect(err).to.not.exist();
+
+            inject('/api/v1/users?version=2', {}, (response) => {
+
+                expect(response.statusCode).to.equal(200);
+                expect(response.result).to.deep.equal({ path: '/api/v2/users', version: 2, useDefault: false, descriptor: 'query' });
+
+                inject('/api/v1/users', {}, (pathResponse) => {
+
+                    expect(pathResponse.statusCode).to.equal(200);
+                    expect(pathResponse.result).to.deep.equal({ path: '/api/v1/users', version: 1, useDefault: false, descriptor: 'path' });
+
+                    done();
+                });
+            });
+        });
+    });
+
+    it('returns the version of the accept header that comes before the path strategy', (done) => {
+
+        register({ strategy: ['mediatype', 'path'], vendorName: 'mysuperapi' }, (err) => {
+
+            expect(err).to.not.exist();
+
+            inject('/api/v1/users', accept(2), (response) => {
+
+                expect(response.statusCode).to.equal(200);
+                expect(response.result).to.deep.equal({ path: '/api/v2/users', version: 2, useDefault: false, descriptor: 'mediatype' });
+
+                done();
+            });
+        });
+    });
+});
+
+describe('Versioned routes helper', () => {
+
+    const register = registration({
+        validVersions: [1, 2],
+        defaultVersion: 1,
+        vendorName: 'mysuperapi',
+        basePath: '/api/'
+    }, []);
+
+    const handler = function (request, reply) {
+
+        return reply({
+            path: request.path,
+            version: request.plugins['hapi-api-version'].apiVersion,
+            app: request.route.settings.app
+        });
+    };
+
+    beforeEach((done) => {
+
+        register({}, done);
+    });
+
+    it('registers the route of each version under the basePath', (done) => {
+
+        server.versionedRoute({
+            method: 'GET',
+            path: '/users',
+            versions: {
+                1: { handler: handler },
+                2: { handler: handler, config: { app: { v2: true } } }
+            },
+            shared: {
+                config: { app: { shared: true } }
+            }
+        });
+
+        server.inject({
+            method: 'GET',
+            url: '/api/users',
+            headers: { 'Accept': 'application/vnd.mysuperapi.v2+json' }
+        }, (response) => {
+
+            expect(response.statusCode).to.equal(200);
+            expect(response.result).to.deep.equal({ path: '/api/v2/users', version: 2, app: { shared: true, v2: true } });
+
+            server.inject({
+                method: 'GET',
+                url: '/api/users'
+            }, (response2) => {
+
+                expect(response2.statusCode).to.equal(200);
+                expect(response2.result).to.deep.equal({ path: '/api/v1/users', version: 1, app: { shared: true } });
+
+                done();
+            });
+        });
+    });
+
+    it('registers the routes of the registration with the given descriptor', (done) => {
+
+        register({ descriptor: 'query', strategy: 'query', vendorName: undefined, basePath: '/query/' }, (err) => {
+
+            expect(err).to.not.exist();
+
+            server.versionedRoute({
+                method: 'GET',
+                path: '/users',
+                descriptor: 'query',
+                versions: {
+                    2: { handler: handler }
+                }
+            });
+
+            server.inject({
+                method: 'GET',
+                url: '/query/users?version=2'
+            }, (response) => {
+
+                expect(response.statusCode).to.equal(200);
+                expect(response.result.path).to.equal('/query/v2/users');
+
+                done();
+            });
+        });
+    });
+
+    it('should fail if a version is not included in validVersions', (done) => {
+
+        expect(() => {
+
+            server.versionedRoute({
+                method: 'GET',
+                path: '/users',
+                versions: {
+                    3: { handler: handler }
+                }
+            });
+        }).to.throw('hapi-api-version versionedRoute /users contains version \'3\' which is not included in validVersions');
+
+        done();
+    });
+
+    it('should fail if the descriptor is not registered', (done) => {
+
+        expect(() => {
+
+            server.versionedRoute({
+                method: 'GET',
+                path: '/users',
+                descriptor: 'unknown',
+                versions: {
+                    1: { handler: handler }
+                }
+            });
+        }).to.throw('hapi-api-version versionedRoute descriptor \'unknown\' is not registered');
+
+        done();
+    });
+
+    it('should fail if the route is invalid', (done) => {
+
+        expect(() => {
+
+            server.versionedRoute({
+                method: 'GET',
+                path: 'users',
+                versions: {}
+            });
+        }).to.throw(/^hapi-api-version versionedRoute is invalid/);
+
+        done();
+    });
+});
+
+describe('Version ranges', () => {
+
+    const handler = function (request, reply) {
+
+        const plugin = request.plugins['hapi-api-version'] || {};
+        return reply({
+            path: request.path,
+            version: plugin.apiVersion,
+            routeVersion: plugin.routeVersion
+        });
+    };
+
+    const register = function (options, routes, callback) {
+
+        const configs = routes.map((route) => {
+
+            return {
+                method: 'GET',
+                path: route.path,
+                handler: handler,
+                config: route.versions === undefined ? {} : { plugins: { 'hapi-api-version': { versions: route.versions } } }
+            };
+        });
+
+        registration({
+            validVersions: [1, 2, 3, 4, 5],
+            defaultVersion: 1,
+            vendorName: 'mysuperapi'
+        }, configs)(options, (err) => {
+
+            if (err) {
+                return callback(err);
+            }
+
+            // The ranges of the routes are discovered when the server is initialized
+            return server.initialize(callback);
+        });
+    };
+
+    describe(' -> with valid ranges', () => {
+
+        beforeEach((done) => {
+
+            register({}, [
+                { path: '/users', versions: '>=2 <4' },
+                { path: '/v5/users' },
+                { path: '/items', versions: { since: 3 } },
+                { path: '/orders', versions: '>1 <=2' },
+                { path: '/invoices', versions: '=3' },
+                { path: '/payments', versions: { until: 2 } },
+                { path: '/other', versions: '4' }
+            ], done);
+        });
+
+        it('returns the route for a version in the range', (done) => {
+
+            inject('/users', accept(3), (response) => {
+
+                expect(response.statusCode).to.equal(200);
+                expect(response.result).to.deep.equal({ path: '/users', version: 3, routeVersion: 3 });
+
+                done();
+            });
+        });
+
+        it('returns a 404 error for a version outside the range', (done) => {
+
+            inject('/users', accept(4), (response) => {
+
+                expect(response.statusCode).to.equal(404);
+                expect(response.result.message).to.equal('Api-version 4 is not available for /users');
+
+                done();
+            });
+        });
+
+        it('returns a 404 error for a default version outside the range', (done) => {
+
+            inject('/users', {}, (response) => {
+
+                expect(response.statusCode).to.equal(404);
+
+                done();
+            });
+        });
+
+        it('returns the versioned route instead of the range', (done) => {
+
+            inject('/users', accept(5), (response) => {
+
+                expect(response.statusCode).to.equal(200);
+                expect(response.result.path).to.equal('/v5/users');
+
+                done();
+            });
+        });
+
+        it('returns the route for an explicitly versioned path in the range', (done) => {
+
+            inject('/v2/users', {}, (response) => {
+
+                expect(response.statusCode).to.equal(200);
+                expect(response.result).to.deep.equal({ path: '/users', version: 2, routeVersion: 3 });
+
+                done();
+            });
+        });
+
+        it('supports the range operators', (done) => {
+
+            const checks = [
+                ['/items', 3, 200], ['/items', 2, 404],
+                ['/orders', 2, 200], ['/orders', 1, 404], ['/orders', 3, 404],
+                ['/invoices', 3, 200], ['/invoices', 4, 404],
+                ['/payments', 1, 200], ['/payments', 2, 404],
+                ['/other', 4, 200], ['/other', 3, 404]
+            ];
+
+            const next = function (i) {
+
+                if (i === checks.length) {
+                    return done();
+                }
+
+                inject(checks[i][0], accept(checks[i][1]), (response) => {
+
+                    expect(response.statusCode, checks[i].join(' ')).to.equal(checks[i][2]);
+                    next(i + 1);
+                });
+            };
+
+            next(0);
+        });
+    });
+
+    it('returns the configured error code', (done) => {
+
+        register({ rangeErrorCode: 410 }, [{ path: '/users', versions: '>=2' }], (err) => {
+
+            expect(err).to.not.exist();
+
+            inject('/users', accept(1), (response) => {
+
+                expect(response.statusCode).to.equal(410);
+
+                done();
+            });
+        });
+    });
+
+    it('ignores ranged routes outside the basePath', (done) => {
+
+        register({ basePath: '/api/' }, [{ path: '/users', versions: '>=2' }, { path: '/api/users', versions: '>=2' }], (err) => {
+
+            expect(err).to.not.exist();
+
+            inject('/users', accept(1), (response) => {
+
+                expect(response.statusCode).to.equal(200);
+
+                inject('/api/users', accept(1), (response2) => {
+
+                    expect(response2.statusCode).to.equal(404);
+
+                    done();
+                });
+            });
+        });
+    });
+
+    it('should fail if a range is invalid', (done) => {
+
+        const ranges = ['>=x', '', { since: 'x' }, {}, 5, '>=2024-01-01'];
+
+        const next = function (i) {
+
+            if (i === ranges.length) {
+                return done();
+            }
+
+            server = new Hapi.Server();
+            server.connection();
+
+            register({}, [{ path: '/users', versions: ranges[i] }], (err) => {
+
+                expect(err).to.exist();
+                expect(err.message).to.equal('hapi-api-version route get /users contains an invalid versions range');
+                next(i + 1);
+            });
+        };
+
+        next(0);
+    });
+});
+
+describe('Removed paths', () => {
+
+    const handler = function (request, reply) {
+
+        return reply({ path: request.path });
+    };
+
+    const register = registration({
+        validVersions: [1, 2, 3, 4],
+        defaultVersion: 4,
+        preReleaseVersions: [2],
+        vendorName: 'mysuperapi',
+        basePath: '/api/',
+        inheritRoutes: true,
+        removedPaths: [
+            { path: '/users/{id}/legacy', version: 3 },
+            { path: '/reports', version: 4 }
+        ]
+    }, [
+        { method: 'GET', path: '/api/v1/users/{id}/legacy', handler: handler },
+        { method: 'GET', path: '/api/v1/users/{id}', handler: handler },
+        { method: 'GET', path: '/api/reports', handler: handler }
+    ]);
+
+    it('should fail if the version is not included in validVersions', (done) => {
+
+        register({ removedPaths: [{ path: '/users', version: 5 }] }, (err) => {
+
+            expect(err).to.exist();
+            expect(err.message).to.equal('hapi-api-version removedPaths contains version \'5\' which is not included in validVersions');
+
+            done();
+        });
+    });
+
+    it('should fail if the path is removed in the first version', (done) => {
+
+        register({ removedPaths: [{ path: '/users', version: 1 }] }, (err) => {
+
+            expect(err).to.exist();
+            expect(err.message).to.equal('hapi-api-version removedPaths path \'/users\' can not be removed in the first version');
+
+            done();
+        });
+    });
+
+    describe(' -> with removed paths', () => {
+
+        beforeEach((done) => {
+
+            register({}, done);
+        });
+
+        it('returns the route for a version before the removal', (done) => {
+
+            inject('/api/users/5/legacy', accept(1), (response) => {
+
+                expect(response.statusCode).to.equal(200);
+                expect(response.result.path).to.equal('/api/v1/users/5/legacy');
+
+                done();
+            });
+        });
+
+        it('returns a 410 error naming the last supporting version', (done) => {
+
+            inject('/api/users/5/legacy', accept(3), (response) => {
+
+                expect(response.statusCode).to.equal(410);
+                expect(response.result.message).to.equal('Api-version 3 no longer supports /api/users/5/legacy, it was removed in api-version 3. The last api-version supporting it is 1');
+                expect(response.result.lastSupportedVersion).to.equal(1);
+
+                done();
+            });
+        });
+
+        it('returns a 410 error for the default version', (done) => {
+
+            inject('/api/reports', {}, (response) => {
+
+                expect(response.statusCode).to.equal(410);
+                expect(response.result.lastSupportedVersion).to.equal(3);
+
+                done();
+            });
+        });
+
+        it('returns the unversioned route for a version before the removal', (done) => {
+
+            inject('/api/reports', accept(3), (response) => {
+
+                expect(response.statusCode).to.equal(200);
+
+                done();
+            });
+        });
+
+        it('returns other routes of the removed versions', (done) => {
+
+            inject('/api/users/5', accept(4), (response) => {
+
+                expect(response.statusCode).to.equal(200);
+                expect(response.result.path).to.equal('/api/v1/users/5');
+
+                done();
+            });
+        });
+    });
+});
+
+describe('Version changes', () => {
+
+    const config = { plugins: { 'hapi-api-version': { versions: '>=1' } } };
+
+    const versionChanges = [
+        {
+            version: 2,
+            description: 'Split the name',
+            transformResponse: (payload, request) => {
+
+                return { name: payload.firstname + ' ' + payload.lastname, steps: payload.steps.concat(2) };
+            }
+        },
+        {
+            version: 3,
+            routes: ['/users'],
+            transformResponse: (payload, request) => {
+
+                return { firstname: payload.firstname, lastname: payload.lastname, steps: [3] };
+            }
+        }
+    ];
+
+    const register = registration({
+        validVersions: [1, 2, 3],
+        defaultVersion: 3,
+        vendorName: 'mysuperapi',
+        versionChanges: versionChanges
+    }, [
+        {
+            method: 'GET',
+            path: '/users',
+            handler: (request, reply) => reply({ firstname: 'Peter', lastname: 'Miller', email: 'peter@example.com' }),
+            config: config
+        },
+        {
+            method: 'GET',
+            path: '/admins',
+            handler: (request, reply) => reply({ firstname: 'Anna', lastname: 'Smith', steps: [] }),
+            config: config
+        },
+        {
+            method: 'GET',
+            path: '/v2/accounts',
+            handler: (request, reply) => reply({ name: 'Peter Miller' })
+        },
+        {
+            method: 'GET',
+            path: '/errors',
+            handler: (request, reply) => reply(Boom.notFound()),
+            config: config
+        }
+    ]);
+
+    it('should fail if the version is not included in validVersions', (done) => {
+
+        register({ versionChanges: [{ version: 4, transformResponse: () => null }] }, (err) => {
+
+            expect(err).to.exist();
+            expect(err.message).to.equal('hapi-api-version versionChanges contains version \'4\' which is not included in validVersions');
+
+            done();
+        });
+    });
+
+    it('downgrades the response once if multiple registrations use the version changes', (done) => {
+
+        register({}, (err) => {
+
+            expect(err).to.not.exist();
+
+            server.register({
+                register: require('../'),
+                options: {
+                    validVersions: [1, 2, 3],
+                    defaultVersion: 3,
+                    strategy: 'query',
+                    descriptor: 'query',
+                    versionChanges: versionChanges
+                }
+            }, (err2) => {
+
+                expect(err2).to.not.exist();
+
+                server.initialize((err3) => {
+
+                    expect(err3).to.not.exist();
+
+                    inject('/admins', accept(1), (response) => {
+
+                        expect(response.statusCode).to.equal(200);
+                        expect(response.result).to.deep.equal({ name: 'Anna Smith', steps: [2] });
+
+                        inject('/admins?version=1', {}, (queryResponse) => {
+
+                            expect(queryResponse.statusCode).to.equal(200);
+                            expect(queryResponse.result).to.deep.equal({ name: 'Anna Smith', steps: [2] });
+
+                            done();
+                        });
+                    });
+                });
+            });
+        });
+    });
+
+    describe(' -> with version changes', () => {
+
+        beforeEach((done) => {
+
+            register({}, (err) => {
+
+                expect(err).to.not.exist();
+
+                server.initialize(done);
+            });
+        });
+
+        it('returns the response of the newest version', (done) => {
+
+            inject('/users', {}, (response) => {
+
+                expect(response.statusCode).to.equal(200);
+                expect(response.result).to.deep.equal({ firstname: 'Peter', lastname: 'Miller', email: 'peter@example.com' });
+
+                done();
+            });
+        });
+
+        it('downgrades the response step by step', (done) => {
+
+            inject('/users', accept(1), (response) => {
+
+                expect(response.statusCode).to.equal(200);
+                expect(response.result).to.deep.equal({ name: 'Peter Miller', steps: [3, 2] });
+
+                done();
+            });
+        });
+
+        it('downgrades the response of a single version', (done) => {
+
+            inject('/users', accept(2), (response) => {
+
+                expect(response.statusCode).to.equal(200);
+                expect(response.result).to.deep.equal({ firstname: 'Peter', lastname: 'Miller', steps: [3] });
+
+                done();
+            });
+        });
+
+        it('only applies the version changes that target the route', (done) => {
+
+            inject('/admins', accept(1), (response) => {
+
+                expect(response.statusCode).to.equal(200);
+                expect(response.result).to.deep.equal({ name: 'Anna Smith', steps: [2] });
+
+                done();
+            });
+        });
+
+        it('does not downgrade the response of a versioned route', (done) => {
+
+            inject('/accounts', accept(2), (response) => {
+
+                expect(response.statusCode).to.equal(200);
+                expect(response.result).to.deep.equal({ name: 'Peter Miller' });
+
+                done();
+            });
+        });
+
+        it('does not downgrade errors', (done) => {
+
+            inject('/errors', accept(1), (response) => {
+
+                expect(response.statusCode).to.equal(404);
+
+                done();
+            });
+        });
+    });
+});
+
+describe('Request version changes', () => {
+
+    const handler = function (request, reply) {
+
+        return reply({ payload: request.payload, query: request.query, params: request.params });
+    };
+
+    const versionChanges = [
+        {
+            version: 2,
+            transformRequest: {
+                payload: (payload, request) => {
+
+                    const name = payload.name.split(' ');
+                    return { firstname: name[0], lastname: name[1] };
+                }
+            }
+        },
+        {
+            version: 3,
+            routes: ['/users/{id}'],
+            transformRequest: {
+                query: (query, request) => {
+
+                    return { fields: query.select };
+                },
+                params: (params, request) => {
+
+                    return { id: 'user-' + params.id };
+                }
+            },
+            transformResponse: (payload, request) => payload
+        }
+    ];
+
+    const register = registration({
+        validVersions: [1, 2, 3],
+        defaultVersion: 3,
+        vendorName: 'mysuperapi',
+        versionChanges: versionChanges
+    }, [
+        {
+            method: 'POST',
+            path: '/users/{id}',
+            handler: handler,
+            config: {
+                plugins: { 'hapi-api-version': { versions: '>=1' } },
+                validate: {
+                    payload: Joi.object({ firstname: Joi.string().required(), lastname: Joi.string().required() }),
+                    params: { id: Joi.string().regex(/^user-/) }
+                }
+            }
+        },
+        {
+            method: 'POST',
+            path: '/v1/accounts',
+            handler: handler
+        },
+        {
+            method: 'GET',
+            path: '/users',
+            handler: handler,
+            config: {
+                plugins: { 'hapi-api-version': { versions: '>=1' } }
+            }
+        }
+    ]);
+
+    it('upgrades the request once if multiple registrations use the version changes', (done) => {
+
+        register({}, (err) => {
+
+            expect(err).to.not.exist();
+
+            server.register({
+                register: require('../'),
+                options: {
+                    validVersions: [1, 2, 3],
+                    defaultVersion: 3,
+                    strategy: 'query',
+                    descriptor: 'query',
+                    versionChanges: versionChanges
+                }
+            }, (err2) => {
+
+                expect(err2).to.not.exist();
+
+                server.initialize((err3) => {
+
+                    expect(err3).to.not.exist();
+
+                    server.inject({
+                        method: 'POST',
+                        url: '/users/5?select=name',
+                        headers: accept(1),
+                        payload: { name: 'Peter Miller' }
+                    }, (response) => {
+
+                        expect(response.statusCode).to.equal(200);
+                        expect(response.result).to.deep.equal({
+                            payload: { firstname: 'Peter', lastname: 'Miller' },
+                            query: { fields: 'name' },
+                            params: { id: 'user-5' }
+                        });
+
+                        done();
+                    });
+                });
+            });
+        });
+    });
+
+    describe(' -> with version changes', () => {
+
+        beforeEach((done) => {
+
+            register({}, (err) => {
+
+                expect(err).to.not.exist();
+
+                server.initialize(done);
+            });
+        });
+
+        it('upgrades the request step by step before it is validated', (done) => {
+
+            server.inject({
+                method: 'POST',
+                url: '/users/5?select=name',
+                headers: accept(1),
+                payload: { name: 'Peter Miller' }
+            }, (response) => {
+
+                expect(response.statusCode).to.equal(200);
+                expect(response.result).to.deep.equal({
+                    payload: { firstname: 'Peter', lastname: 'Miller' },
+                    query: { fields: 'name' },
+                    params: { id: 'user-5' }
+                });
+
+                done();
+            });
+        });
+
+        it('does not upgrade the payload of a request without a payload', (done) => {
+
+            inject('/users', accept(1), (response) => {
+
+                expect(response.statusCode).to.equal(200);
+                expect(response.result.payload).to.be.null();
+
+                done();
+            });
+        });
+
+        it('upgrades the request of a single version', (done) => {
+
+            server.inject({
+                method: 'POST',
+                url: '/users/5?select=name',
+                headers: accept(2),
+                payload: { firstname: 'Peter', lastname: 'Miller' }
+            }, (response) => {
+
+                expect(response.statusCode).to.equal(200);
+                expect(response.result.params).to.deep.equal({ id: 'user-5' });
+
+                done();
+            });
+        });
+
+        it('does not upgrade the request of the newest version', (done) => {
+
+            server.inject({
+                method: 'POST',
+                url: '/users/user-5',
+                payload: { firstname: 'Peter', lastname: 'Miller' }
+            }, (response) => {
+
+                expect(response.statusCode).to.equal(200);
+                expect(response.result.params).to.deep.equal({ id: 'user-5' });
+
+                done();
+            });
+        });
+
+        it('does not upgrade the request of a versioned route', (done) => {
+
+            server.inject({
+                method: 'POST',
+                url: '/accounts',
+                headers: accept(1),
+                payload: { name: 'Peter Miller' }
+            }, (response) => {
+
+                expect(response.statusCode).to.equal(200);
+                expect(response.result.payload).to.deep.equal({ name: 'Peter Miller' });
+
+                done();
+            });
+        });
+
+        it('does not upgrade unversioned requests', (done) => {
+
+            server.route({ method: 'POST', path: '/health', handler: (request, reply) => reply(request.payload) });
+
+            server.inject({
+                method: 'POST',
+                url: '/health',
+                payload: { name: 'Peter Miller' }
+            }, (response) => {
+
+                expect(response.statusCode).to.equal(200);
+                expect(response.result).to.deep.equal({ name: 'Peter Miller' });
+
+                done();
+            });
+        });
+    });
+
+    it('only upgrades requests under the basePath', (done) => {
+
+        register({ basePath: '/api/' }, (err) => {
+
+            expect(err).to.not.exist();
+
+            server.inject({
+                method: 'POST',
+                url: '/users/5',
+                headers: accept(1),
+                payload: { firstname: 'Peter', lastname: 'Miller' }
+            }, (response) => {
+
+                expect(response.statusCode).to.equal(400);
+
+                done();
+            });
+        });
+    });
+
+    it('does not upgrade requests rewritten into the basePath after the version was determined', (done) => {
+
+        register({ basePath: '/api/' }, (err) => {
+
+            expect(err).to.not.exist();
+
+            server.route({ method: 'POST', path: '/api/health', handler: (request, reply) => reply(request.payload) });
+            server.ext('onRequest', (request, reply) => {
+
+                if (request.path === '/health') {
+                    request.setUrl('/api/health');
+                }
+
+                return reply.continue();
+            });
+
+            server.inject({
+                method: 'POST',
+                url: '/health',
+                headers: accept(1),
+                payload: { name: 'Peter Miller' }
+            }, (response) => {
+
+                expect(response.statusCode).to.equal(200);
+                expect(response.result).to.deep.equal({ name: 'Peter Miller' });
+
+                done();
+            });
+        });
+    });
+
+    it('should fail if a version change does not transform anything', (done) => {
+
+        register({ versionChanges: [{ version: 2 }] }, (err) => {
+
+            expect(err).to.exist();
+
+            done();
+        });
+    });
+});
+
+describe('Version discovery', () => {
+
+    const register = registration({
+        validVersions: [1, 2, 3, 4],
+        defaultVersion: 2,
+        vendorName: 'mysuperapi',
+        aliases: { latest: 3 },
+        preReleaseVersions: [4],
+        deprecatedVersions: [
+            { version: 1, date: '2024-01-01', sunset: '2024-06-01', link: 'https://example.com/v1' },
+            { version: 2, date: '2024-03-01' }
+        ],
+        clock: () => new Date('2024-07-01'),
+        discoveryRoute: true
+    }, []);
+
+    it('lists the versions of all registrations', (done) => {
+
+        register({}, (err) => {
+
+            expect(err).to.not.exist();
+
+            register({
+                validVersions: [1],
+                defaultVersion: 1,
+                vendorName: undefined,
+                aliases: {},
+                preReleaseVersions: [],
+                deprecatedVersions: [],
+                getVersion: () => null,
+                descriptor: 'custom',
+                basePath: '/custom/',
+                discoveryRoute: false
+            }, (err2) => {
+
+                expect(err2).to.not.exist();
+
+                inject('/versions', {}, (response) => {
+
+                    const payload = JSON.parse(response.payload);
+
+                    expect(response.statusCode).to.equal(200);
+                    expect(payload).to.deep.equal({
+                        registrations: [
+                            {
+                                descriptor: 'mediatype',
+                                basePath: '/',
+                                defaultVersion: 2,
+                                aliases: { latest: 3 },
+                                strategies: [{ type: 'mediatype', descriptor: 'mediatype' }],
+                                versions: [
+                                    {
+                                        version: 1,
+                                        status: 'sunset',
+                                        deprecated: '2024-01-01T00:00:00.000Z',
+                                        sunset: '2024-06-01T00:00:00.000Z',
+                                        link: 'https://example.com/v1',
+                                        mediaType: 'application/vnd.mysuperapi.v1+json'
+                                    },
+                                    { version: 2, status: 'deprecated', deprecated: '2024-03-01T00:00:00.000Z', mediaType: 'application/vnd.mysuperapi.v2+json' },
+                                    { version: 3, status: 'current', mediaType: 'application/vnd.mysuperapi.v3+json' },
+                                    { version: 4, status: 'pre-release', mediaType: 'application/vnd.mysuperapi.v4+json' }
+                                ]
+                            },
+                            {
+                                descriptor: 'custom',
+                                basePath: '/custom/',
+                                defaultVersion: 1,
+                                aliases: {},
+                                strategies: [{ type: 'custom', descriptor: 'custom' }],
+                                versions: [{ version: 1, status: 'current' }]
+                            }
+                        ]
+                    });
+
+                    done();
+                });
+            });
+        });
+    });
+
+    it('registers the discovery route at the given path', (done) => {
+
+        register({
+            strategy: ['query', 'mediatype'],
+            mediaTypePattern: 'application/vnd.{vendor}.v{version}.{param}+json',
+            basePath: '/api/',
+            discoveryRoute: '/api/meta/versions',
+            strict: true
+        }, (err) => {
+
+            expect(err).to.not.exist();
+
+            inject('/api/meta/versions', { 'Accept': 'application/vnd.mysuperapi.v3.full+json' }, (response) => {
+
+                const payload = JSON.parse(response.payload);
+
+                expect(response.statusCode).to.equal(200);
+                expect(payload.registrations[0].strategies).to.deep.equal([
+                    { type: 'query', name: 'version', descriptor: 'query' },
+                    { type: 'mediatype', descriptor: 'mediatype' }
+                ]);
+                expect(payload.registrations[0].versions[2]).to.deep.equal({ version: 3, status: 'current' });
+
+                done();
+            });
+        });
+    });
+});